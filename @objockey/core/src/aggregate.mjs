@@ -0,0 +1,75 @@
+/**
+ * @objockey/core - aggregations
+ *
+ * Aggregation descriptors for `ObjockeyGroups.aggregate()`. Each factory takes
+ * an extractor callback with the usual calling convention and returns a
+ * descriptor which reduces the extracted values of one group to one result.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { isNumeric, sumOf, meanOf, medianOf, minOf, maxOf } from "./statistics.mjs";
+
+function aggregation(name, callback, reduce) {
+    if (typeof callback !== "function") {
+        throw new ObjockeyError(`"callback" of ${name}() must be a function.`);
+    }
+    return { name, callback, accepts: isNumeric, reduce };
+}
+
+/**
+ * Sums the numeric values returned by `callback`.
+ *
+ * @param {function} callback Value-returning function.
+ */
+export function sum(callback) {
+    return aggregation("sum", callback, sumOf);
+}
+
+/**
+ * Averages the numeric values returned by `callback`.
+ *
+ * @param {function} callback Value-returning function.
+ */
+export function average(callback) {
+    return aggregation("average", callback, meanOf);
+}
+
+/**
+ * Finds the median of the numeric values returned by `callback`.
+ *
+ * @param {function} callback Value-returning function.
+ */
+export function median(callback) {
+    return aggregation("median", callback, medianOf);
+}
+
+/**
+ * Finds the smallest numeric value returned by `callback`.
+ *
+ * @param {function} callback Value-returning function.
+ */
+export function min(callback) {
+    return aggregation("min", callback, minOf);
+}
+
+/**
+ * Finds the largest numeric value returned by `callback`.
+ *
+ * @param {function} callback Value-returning function.
+ */
+export function max(callback) {
+    return aggregation("max", callback, maxOf);
+}
+
+/**
+ * Counts the records of a group. If `callback` is given, only records for
+ * which it returns a truthy value are counted.
+ *
+ * @param {function} callback Optional boolean-returning function.
+ */
+export function count(callback) {
+    if (callback === undefined) {
+        return { name: "count", callback: () => true, accepts: Boolean, reduce: (values) => values.length };
+    }
+    return { ...aggregation("count", callback, (values) => values.length), accepts: Boolean };
+}
@@ -0,0 +1,96 @@
+/**
+ * @objockey/core - canonical JSON
+ *
+ * Serialization following RFC 8785, the JSON Canonicalization Scheme (JCS):
+ * no whitespace, object properties sorted by the UTF-16 code units of their
+ * names, and numbers and strings written as `JSON.stringify()` writes them.
+ * Equal documents therefore always serialize to the same string.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { formatPointer } from "./path.mjs";
+
+// Matches lone surrogates, which RFC 8785 does not allow in strings.
+const LONE_SURROGATE = /\p{Cs}/u;
+
+function reject(segments, reason) {
+    const path = formatPointer(segments);
+    return new ObjockeyError(`Cannot canonicalize the value at "${path || "/"}": ${reason}`, { path });
+}
+
+function writeString(string, segments) {
+    if (LONE_SURROGATE.test(string)) {
+        throw reject(segments, "strings must not contain lone surrogates.");
+    }
+    return JSON.stringify(string);
+}
+
+/**
+ * Whether `JSON.stringify()` leaves a property with this value out.
+ */
+function isSkipped(value) {
+    return value === undefined || typeof value === "function" || typeof value === "symbol";
+}
+
+function write(value, segments, ancestors) {
+    if (value !== null && typeof value === "object" && typeof value.toJSON === "function") {
+        value = value.toJSON(String(segments.length > 0 ? segments[segments.length - 1] : ""));
+    }
+    switch (typeof value) {
+        case "string":
+            return writeString(value, segments);
+        case "number":
+            if (!Number.isFinite(value)) {
+                throw reject(segments, `${value} is not a JSON number.`);
+            }
+            return JSON.stringify(value);
+        case "boolean":
+            return String(value);
+        case "bigint":
+            throw reject(segments, "bigints are not JSON numbers. Convert them to numbers or strings first.");
+    }
+    if (value === null) {
+        return "null";
+    }
+    if (typeof value !== "object") {
+        throw reject(segments, `values of type ${typeof value} are not JSON.`);
+    }
+    if (ancestors.has(value)) {
+        throw reject(segments, "the value refers to itself.");
+    }
+
+    ancestors.add(value);
+    let text;
+    if (Array.isArray(value)) {
+        text = `[${value.map((element, i) => (isSkipped(element)
+            ? "null"
+            : write(element, [...segments, i], ancestors))).join(",")}]`;
+    } else {
+        // The default sort compares UTF-16 code units, as RFC 8785 requires.
+        const keys = Object.keys(value).filter((key) => !isSkipped(value[key])).sort();
+        text = `{${keys.map((key) => `${writeString(key, [...segments, key])}:${write(value[key], [...segments, key], ancestors)}`).join(",")}}`;
+    }
+    ancestors.delete(value);
+    return text;
+}
+
+/**
+ * Serializes a value following RFC 8785. Like `JSON.stringify()`, calls
+ * `toJSON()` methods (so dates become ISO strings), leaves out properties
+ * whose values are undefined, functions or symbols, and writes such array
+ * elements as null.
+ *
+ * *Throws an error for values RFC 8785 cannot represent: numbers which are
+ * not finite, bigints, strings with lone surrogates, and circular
+ * references.*
+ *
+ * @param {*} value
+ * @returns {string | undefined} The canonical JSON text, or undefined if
+ * `value` is undefined, as with `JSON.stringify()`.
+ */
+export function canonicalize(value) {
+    if (isSkipped(value)) {
+        return undefined;
+    }
+    return write(value, [], new Set());
+}
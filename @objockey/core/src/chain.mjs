@@ -0,0 +1,270 @@
+/**
+ * @objockey/core - chains
+ *
+ * Lazy query pipelines over the internal buffer of an `ObjockeyObject`.
+ * Stages are only recorded when chained, and fused into a single pass over
+ * the buffer once a terminal operation runs.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { toCallback } from "./query.mjs";
+
+export class ObjockeyChain {
+    #spawn;
+    #buffer;
+    #stages;
+
+    /**
+     * @param {function} spawn Creates an `ObjockeyObject` holding a result, in
+     * the mode (mutable or immutable) of the object the chain was created
+     * from.
+     * @param {array | object} buffer The internal buffer of that object.
+     * @param {array} stages Stages recorded so far.
+     */
+    constructor(spawn, buffer, stages = []) {
+        this.#spawn = spawn;
+        this.#buffer = buffer;
+        this.#stages = stages;
+    }
+
+    #with(type, argument) {
+        return new ObjockeyChain(this.#spawn, this.#buffer, [...this.#stages, { type, argument }]);
+    }
+
+    #isArray() {
+        return Array.isArray(this.#buffer);
+    }
+
+    // // STAGES // //
+
+    /**
+     * Adds a filtering stage to the chain.
+     *
+     * @param {function | object} callback Boolean returning function, or a
+     * query document (see `ObjockeyObject.filter()`).
+     * If the internal buffer is an array,
+     * `callback(value, index, internalBuffer)`.
+     *
+     * If the internal buffer is an object,
+     * `callback(key, value, internalBuffer)`.
+     *
+     * @returns {ObjockeyChain} A new chain.
+     */
+    filter(callback) {
+        callback = toCallback(callback, this.#isArray());
+        assertFunction(callback);
+        return this.#with("filter", callback);
+    }
+
+    /**
+     * Adds a mapping stage to the chain. Follows the same rules as
+     * `ObjockeyObject.map()`: for an array buffer the callback returns the new
+     * value, for an object buffer it returns an object of `{ key: value }`
+     * pairs (or nothing, which maps to `{ [key]: null }`).
+     *
+     * @param {function} callback
+     * If the internal buffer is an array,
+     * `callback(value, index, internalBuffer)`.
+     *
+     * If the internal buffer is an object,
+     * `callback(key, value, internalBuffer)`.
+     *
+     * @returns {ObjockeyChain} A new chain.
+     */
+    map(callback) {
+        assertFunction(callback);
+        return this.#with("map", callback);
+    }
+
+    /**
+     * Adds a stage skipping the first `count` elements reaching it.
+     *
+     * @param {integer} count
+     * @returns {ObjockeyChain} A new chain.
+     */
+    skip(count) {
+        assertCount(count);
+        return this.#with("skip", count);
+    }
+
+    /**
+     * Adds a stage letting only the first `count` elements reaching it
+     * through. The pass over the buffer stops as soon as it is satisfied.
+     *
+     * @param {integer} count
+     * @returns {ObjockeyChain} A new chain.
+     */
+    take(count) {
+        assertCount(count);
+        return this.#with("take", count);
+    }
+
+    // // TERMINAL OPERATIONS // //
+
+    /**
+     * Runs the chain in a single pass over the buffer, calling `sink` with
+     * every element making it through all stages.
+     *
+     * @param {function} sink `sink(key, value)`, where `key` is the index of
+     * the element in the original buffer, or its (possibly mapped) key for
+     * object buffers. Returning `false` stops the pass.
+     */
+    #run(sink) {
+        const buffer = this.#buffer;
+        const isArray = this.#isArray();
+        const stages = this.#stages;
+        const counters = stages.map(() => 0);
+
+        const push = (key, value, s) => {
+            for (; s < stages.length; s++) {
+                const { type, argument } = stages[s];
+                if (type === "filter") {
+                    if (!(isArray ? argument(value, key, buffer) : argument(key, value, buffer))) {
+                        return true;
+                    }
+                } else if (type === "map") {
+                    if (isArray) {
+                        value = argument(value, key, buffer);
+                    } else {
+                        const data = argument(key, value, buffer) || { [key]: null };
+                        if (typeof data !== "object" || Array.isArray(data)) {
+                            throw new ObjockeyError(`Cannot map a value of type ${typeof data} to an internal buffer of type object.`);
+                        }
+                        for (const mappedKey in data) {
+                            if (!push(mappedKey, data[mappedKey], s + 1)) {
+                                return false;
+                            }
+                        }
+                        return true;
+                    }
+                } else if (type === "skip") {
+                    if (counters[s] < argument) {
+                        counters[s]++;
+                        return true;
+                    }
+                } else if (type === "take") {
+                    if (counters[s] >= argument) {
+                        return false;
+                    }
+                    counters[s]++;
+                    return push(key, value, s + 1) && counters[s] < argument;
+                }
+            }
+            return sink(key, value) !== false;
+        };
+
+        if (isArray) {
+            for (let i = 0; i < buffer.length; i++) {
+                if (!push(i, buffer[i], 0)) {
+                    return;
+                }
+            }
+        } else if (typeof buffer === "object" && buffer !== null) {
+            for (const key in buffer) {
+                if (!push(key, buffer[key], 0)) {
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {array} The resulting values. For object buffers, the result
+     * is an array of `[key, value]` entries.
+     */
+    toArray() {
+        const result = [];
+        const isArray = this.#isArray();
+        this.#run((key, value) => {
+            result.push(isArray ? value : [key, value]);
+        });
+        return result;
+    }
+
+    /**
+     * @returns {object} The resulting key/value pairs. For array buffers,
+     * values are keyed by their position in the result.
+     */
+    toObject() {
+        const result = {};
+        const isArray = this.#isArray();
+        let i = 0;
+        this.#run((key, value) => {
+            result[isArray ? i++ : key] = value;
+        });
+        return result;
+    }
+
+    /**
+     * @returns The first resulting value (or `[key, value]` entry for object
+     * buffers), or undefined if the chain produces nothing. Stops the pass
+     * after the first match.
+     */
+    first() {
+        let result;
+        const isArray = this.#isArray();
+        this.#run((key, value) => {
+            result = isArray ? value : [key, value];
+            return false;
+        });
+        return result;
+    }
+
+    /**
+     * @returns {integer} The number of resulting elements.
+     */
+    count() {
+        let count = 0;
+        this.#run(() => {
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Reduces the resulting elements to a single value.
+     *
+     * @param {function} callback
+     * If the internal buffer is an array,
+     * `callback(accumulator, value, index, internalBuffer)`.
+     *
+     * If the internal buffer is an object,
+     * `callback(accumulator, key, value, internalBuffer)`.
+     *
+     * @param {*} initial Initial value of the accumulator.
+     * @returns The final value of the accumulator.
+     */
+    reduce(callback, initial) {
+        assertFunction(callback);
+        let accumulator = initial;
+        this.#run((key, value) => {
+            accumulator = this.#isArray()
+                ? callback(accumulator, value, key, this.#buffer)
+                : callback(accumulator, key, value, this.#buffer);
+        });
+        return accumulator;
+    }
+
+    /**
+     * @returns {ObjockeyObject} A new `ObjockeyObject` whose internal buffer
+     * holds the result of the chain, as an array for array buffers and as an
+     * object for object buffers. It is immutable if the object the chain
+     * was created from is.
+     */
+    into() {
+        const result = this.#isArray() ? this.toArray() : this.toObject();
+        return this.#spawn(result);
+    }
+}
+
+function assertFunction(callback) {
+    if (typeof callback !== "function") {
+        throw new ObjockeyError("\"callback\" must be a function.");
+    }
+}
+
+function assertCount(count) {
+    if (!Number.isInteger(count) || count < 0) {
+        throw new ObjockeyError("\"count\" must be a non-negative integer.");
+    }
+}
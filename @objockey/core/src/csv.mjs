@@ -0,0 +1,333 @@
+/**
+ * @objockey/core - CSV
+ *
+ * Reading and writing RFC 4180 CSV, as well as TSV and other delimiter
+ * separated formats. Nested records are flattened into dotted column names
+ * (`address.city`, `tags[0]`) on export, and re-nested on import.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { parsePath, formatPath, setPath } from "./path.mjs";
+
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+
+function delimiterOf(options) {
+    const delimiter = options.delimiter === undefined ? "," : options.delimiter;
+    if (typeof delimiter !== "string" || delimiter.length !== 1 || delimiter === "\"" || delimiter === "\n" || delimiter === "\r") {
+        throw new ObjockeyError("\"delimiter\" must be a single character other than a quote or line break.");
+    }
+    return delimiter;
+}
+
+/**
+ * Splits CSV text into rows of fields.
+ *
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {array} Rows of `{ value, quoted }` fields, along with the line
+ * number each row starts on as `row.line`.
+ */
+function tokenize(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let line = 1;
+    let rowLine = 1;
+    let i = 0;
+    // Skip a byte order mark.
+    if (text.charCodeAt(0) === 0xfeff) {
+        i = 1;
+    }
+
+    const endRow = () => {
+        row.line = rowLine;
+        rows.push(row);
+        row = [];
+        rowLine = line;
+    };
+
+    while (i <= text.length) {
+        if (text[i] === "\"") {
+            let value = "";
+            const start = line;
+            i++;
+            for (;;) {
+                if (i >= text.length) {
+                    throw new ObjockeyError(`Unterminated quoted field starting on line ${start}.`, { line: start });
+                }
+                if (text[i] === "\"") {
+                    if (text[i + 1] === "\"") {
+                        value += "\"";
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                if (text[i] === "\n") {
+                    line++;
+                }
+                value += text[i];
+                i++;
+            }
+            row.push({ value, quoted: true });
+            if (i < text.length && text[i] !== delimiter && text[i] !== "\n" && text[i] !== "\r") {
+                throw new ObjockeyError(`Unexpected "${text[i]}" after quoted field on line ${line}.`, { line });
+            }
+        } else {
+            let end = i;
+            while (end < text.length && text[end] !== delimiter && text[end] !== "\n" && text[end] !== "\r") {
+                end++;
+            }
+            row.push({ value: text.slice(i, end), quoted: false });
+            i = end;
+        }
+
+        if (i >= text.length) {
+            // A trailing line break does not start another row.
+            if (!(row.length === 1 && row[0].value === "" && !row[0].quoted)) {
+                endRow();
+            }
+            break;
+        }
+        if (text[i] === delimiter) {
+            i++;
+            if (i === text.length) {
+                row.push({ value: "", quoted: false });
+                endRow();
+                break;
+            }
+            continue;
+        }
+        // Line break, either \n or \r\n (or a lone \r).
+        i += text[i] === "\r" && text[i + 1] === "\n" ? 2 : 1;
+        line++;
+        endRow();
+        if (i === text.length) {
+            break;
+        }
+    }
+    return rows;
+}
+
+function inferType({ value, quoted }) {
+    if (quoted) {
+        return value;
+    }
+    if (value === "" || value === "null") {
+        return null;
+    }
+    if (value === "true" || value === "false") {
+        return value === "true";
+    }
+    if (NUMBER.test(value)) {
+        const number = Number(value);
+        if (Number.isSafeInteger(number) || !Number.isInteger(number)) {
+            return number;
+        }
+    }
+    return value;
+}
+
+/**
+ * Whether `other` is a path nested in `path`.
+ */
+function isPrefix(path, other) {
+    return other.length > path.length
+        && path.every((segment, i) => String(segment) === String(other[i]));
+}
+
+function conflict(column, other, line) {
+    return new ObjockeyError(`Columns "${column}" and "${other}" conflict on line ${line}: "${column}" cannot hold both a value and nested values.`, {
+        line,
+        columns: [column, other]
+    });
+}
+
+/**
+ * Parses CSV text into records.
+ *
+ * @param {string} text
+ * @param {object} options `{ delimiter, header, columns, inferTypes, nest }`
+ * @returns {array} Objects keyed by column name if there is a header row (or
+ * `columns` were given), arrays of fields otherwise.
+ */
+export function parseCSV(text, options = {}) {
+    if (typeof text !== "string") {
+        throw new ObjockeyError("CSV input must be a string.");
+    }
+    const delimiter = delimiterOf(options);
+    const convert = options.inferTypes
+        ? inferType
+        : (field) => field.value;
+    const rows = tokenize(text, delimiter);
+
+    let columns = options.columns;
+    if (columns === undefined && options.header !== false) {
+        const header = rows.shift();
+        columns = header ? header.map((field) => field.value) : [];
+    }
+    if (columns === undefined) {
+        return rows.map((row) => row.map(convert));
+    }
+    if (!Array.isArray(columns)) {
+        throw new ObjockeyError("\"columns\" must be an array of column names.");
+    }
+
+    const nest = options.nest !== false;
+    // An empty column name would be the root path, so it is kept as a key.
+    const paths = columns.map((column) => (nest && column !== "" ? parsePath(column) : [column]));
+    const nested = paths.map((path) => paths
+        .map((other, j) => (isPrefix(path, other) ? j : -1))
+        .filter((j) => j !== -1));
+    return rows.map((row) => {
+        if (row.length > columns.length) {
+            throw new ObjockeyError(`Row on line ${row.line} has ${row.length} fields, but there are only ${columns.length} columns.`, { line: row.line });
+        }
+        // A column with nested columns, such as "tags" next to "tags[0]",
+        // holds the whole value when it is filled in (as flattening writes
+        // empty arrays and objects), and is skipped otherwise.
+        const skipped = new Set();
+        row.forEach((field, i) => {
+            if (nested[i].length === 0) {
+                return;
+            }
+            if (field.value === "") {
+                skipped.add(i);
+                return;
+            }
+            for (const j of nested[i]) {
+                if (row[j] !== undefined && row[j].value !== "") {
+                    throw conflict(columns[i], columns[j], row.line);
+                }
+                skipped.add(j);
+            }
+        });
+
+        let record = {};
+        row.forEach((field, i) => {
+            if (skipped.has(i)) {
+                return;
+            }
+            let value;
+            if (nested[i].length > 0 && (field.value === "[]" || field.value === "{}")) {
+                value = field.value === "[]" ? [] : {};
+            } else {
+                value = convert(field);
+            }
+            try {
+                record = setPath(record, paths[i], value);
+            } catch (err) {
+                // Such as "a[0]" and "a.b", which need "a" to be an array
+                // and an object.
+                throw new ObjockeyError(`Column "${columns[i]}" conflicts with the columns before it on line ${row.line}: ${err.message}`, {
+                    line: row.line,
+                    column: columns[i]
+                });
+            }
+        });
+        return record;
+    });
+}
+
+/**
+ * Flattens a record into `{ column: value }` pairs, where columns are the
+ * paths of the leaf values. Empty arrays and objects are leaves too, and are
+ * written as `[]` and `{}`.
+ */
+function flatten(value, segments, output) {
+    const nested = typeof value === "object" && value !== null && !(value instanceof Date);
+    const empty = nested && Object.keys(value).length === 0;
+    if (!nested || empty) {
+        output.set(formatPath(segments), value);
+        return output;
+    }
+    if (Array.isArray(value)) {
+        value.forEach((element, i) => flatten(element, [...segments, i], output));
+    } else {
+        for (const key in value) {
+            flatten(value[key], [...segments, key], output);
+        }
+    }
+    return output;
+}
+
+function stringifyField(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === "object") {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+function quoteField(text, delimiter, quoteAll) {
+    if (quoteAll || text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, "\"\"")}"`;
+    }
+    return text;
+}
+
+/**
+ * Writes a buffer as CSV.
+ *
+ * @param {array | object} buffer Array of records (objects or arrays of
+ * fields), or an object whose property values are records.
+ * @param {object} options `{ delimiter, header, columns, flatten, newline,
+ * quoteAll, keyColumn }`
+ * @returns {string}
+ */
+export function stringifyCSV(buffer, options = {}) {
+    const delimiter = delimiterOf(options);
+    const newline = options.newline === undefined ? "\r\n" : options.newline;
+    const quoteAll = Boolean(options.quoteAll);
+    const line = (fields) => fields
+        .map((field) => quoteField(stringifyField(field), delimiter, quoteAll))
+        .join(delimiter);
+
+    let records;
+    if (Array.isArray(buffer)) {
+        records = buffer;
+    } else if (typeof buffer === "object" && buffer !== null) {
+        const keyColumn = options.keyColumn || "key";
+        records = Object.keys(buffer).map((key) => (typeof buffer[key] === "object" && buffer[key] !== null && !Array.isArray(buffer[key])
+            ? { [keyColumn]: key, ...buffer[key] }
+            : { [keyColumn]: key, value: buffer[key] }));
+    } else {
+        return "";
+    }
+
+    if (records.every(Array.isArray)) {
+        return records.map((record) => line(record) + newline).join("");
+    }
+
+    const flattened = records.map((record) => {
+        if (typeof record !== "object" || record === null || Array.isArray(record)) {
+            throw new ObjockeyError("CSV records must either all be objects, or all be arrays.");
+        }
+        if (options.flatten === false) {
+            return new Map(Object.entries(record));
+        }
+        return flatten(record, [], new Map());
+    });
+
+    let columns = options.columns;
+    if (columns === undefined) {
+        const seen = new Set();
+        for (const record of flattened) {
+            for (const column of record.keys()) {
+                seen.add(column);
+            }
+        }
+        columns = [...seen];
+    }
+
+    let text = options.header === false ? "" : line(columns) + newline;
+    for (const record of flattened) {
+        text += line(columns.map((column) => record.get(column))) + newline;
+    }
+    return text;
+}
@@ -0,0 +1,165 @@
+/**
+ * @objockey/core - deduplication
+ *
+ * Finds records sharing a key in a single pass, by hashing the signature of
+ * every key (see `signatureOf()`) rather than comparing records pairwise.
+ * Without a key function, records are compared by deep equality.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { signatureOf } from "./equality.mjs";
+import { parsePath, getPath } from "./path.mjs";
+import { forEachRecord } from "./indexes.mjs";
+
+function getFieldOf(record, segments) {
+    if (typeof record !== "object" || record === null) {
+        return undefined;
+    }
+    return getPath(record, segments);
+}
+
+function compilePart(part) {
+    if (typeof part === "function") {
+        return (args) => part(...args);
+    }
+    if (typeof part === "string") {
+        const segments = parsePath(part);
+        return (args, value) => getFieldOf(value, segments);
+    }
+    throw new ObjockeyError("Keys must be functions or field paths.");
+}
+
+/**
+ * @param {function | string | array | undefined} keyFn Key function, field
+ * path, an array of either for composite keys, or undefined to use whole
+ * records.
+ * @returns {function} `extract(args, value)`
+ */
+function compileKey(keyFn) {
+    if (keyFn === undefined) {
+        return (args, value) => value;
+    }
+    if (Array.isArray(keyFn)) {
+        if (keyFn.length === 0) {
+            throw new ObjockeyError("Composite keys must contain at least one key.");
+        }
+        const parts = keyFn.map(compilePart);
+        return (args, value) => parts.map((part) => part(args, value));
+    }
+    return compilePart(keyFn);
+}
+
+/**
+ * Buckets the records of a buffer by key, in order of first appearance.
+ *
+ * @returns {array} Buckets as `{ key, positions, values }`.
+ */
+function bucket(buffer, keyFn) {
+    const extract = compileKey(keyFn);
+    const isArray = Array.isArray(buffer);
+    const buckets = new Map();
+    forEachRecord(buffer, (position, args) => {
+        const value = isArray ? args[0] : args[1];
+        const key = extract(args, value);
+        const id = signatureOf(key);
+        const found = buckets.get(id);
+        if (found) {
+            found.positions.push(position);
+            found.values.push(value);
+        } else {
+            buckets.set(id, { key, positions: [position], values: [value] });
+        }
+    });
+    return [...buckets.values()];
+}
+
+/**
+ * Builds a buffer holding the records of `buffer` which `keep` holds
+ * values for, in buffer order.
+ *
+ * @param {array | object} buffer
+ * @param {Map} keep Positions of the kept records, mapped to their values.
+ */
+function rebuild(buffer, keep) {
+    if (Array.isArray(buffer)) {
+        const result = [];
+        buffer.forEach((value, i) => {
+            if (keep.has(i)) {
+                result.push(keep.get(i));
+            }
+        });
+        return result;
+    }
+    const result = {};
+    for (const key in buffer) {
+        if (keep.has(key)) {
+            // Defined rather than assigned, as "__proto__" may be a key.
+            Object.defineProperty(result, key, {
+                value: keep.get(key), enumerable: true, writable: true, configurable: true
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {array | object} buffer
+ * @param {*} keyFn See `ObjockeyObject.distinct()`.
+ * @returns {array | object} A new buffer holding the first record of every
+ * key.
+ */
+export function distinctRecords(buffer, keyFn) {
+    const keep = new Map();
+    for (const { positions, values } of bucket(buffer, keyFn)) {
+        keep.set(positions[0], values[0]);
+    }
+    return rebuild(buffer, keep);
+}
+
+/**
+ * @param {array | object} buffer
+ * @param {*} keyFn See `ObjockeyObject.distinct()`.
+ * @returns {array} Every key shared by several records, as
+ * `{ key, indexes, items }`.
+ */
+export function findDuplicates(buffer, keyFn) {
+    const isArray = Array.isArray(buffer);
+    return bucket(buffer, keyFn)
+        .filter(({ positions }) => positions.length > 1)
+        .map(({ key, positions, values }) => ({
+            key,
+            indexes: positions,
+            items: isArray
+                ? values
+                : values.map((value, i) => ({ [positions[i]]: value }))
+        }));
+}
+
+/**
+ * @param {array | object} buffer
+ * @param {*} keyFn See `ObjockeyObject.distinct()`.
+ * @param {object} options `{ keep }` - see `ObjockeyObject.dedupe()`.
+ * @returns {array | object} A new buffer without duplicates, or `buffer`
+ * itself if it has none.
+ */
+export function dedupeRecords(buffer, keyFn, options = {}) {
+    const keep = options.keep === undefined ? "first" : options.keep;
+    if (keep !== "first" && keep !== "last" && typeof keep !== "function") {
+        throw new ObjockeyError(`Unknown "keep" value "${keep}". Use "first", "last" or a function.`);
+    }
+    const buckets = bucket(buffer, keyFn);
+    if (buckets.every(({ positions }) => positions.length === 1)) {
+        return buffer;
+    }
+    const kept = new Map();
+    for (const { key, positions, values } of buckets) {
+        if (positions.length === 1 || keep === "first") {
+            kept.set(positions[0], values[0]);
+        } else if (keep === "last") {
+            kept.set(positions[positions.length - 1], values[values.length - 1]);
+        } else {
+            kept.set(positions[0], keep(values, key));
+        }
+    }
+    return rebuild(buffer, kept);
+}
@@ -0,0 +1,197 @@
+/**
+ * @objockey/core - equality
+ *
+ * Deep structural comparison of JSON-like values.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+
+/**
+ * Compares two values structurally. Arrays must have equal elements in the
+ * same order, objects equal properties regardless of key order. Numbers and
+ * bigints of equal value are equal, as are dates of the same time.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if ((typeof a === "bigint" || typeof b === "bigint")
+        && (typeof a === "number" || typeof a === "bigint")
+        && (typeof b === "number" || typeof b === "bigint")) {
+        return a == b;
+    }
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+        return Number.isNaN(a) && Number.isNaN(b);
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((value, i) => deepEqual(value, b[i]));
+    }
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Compares two values structurally, like `deepEqual()`, but configurable.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {object} options `{ ignoreKeyOrder, ignoreArrayOrder, tolerance }`
+ * - see `ObjockeyObject.equals()`.
+ * @returns {boolean}
+ */
+export function equalWith(a, b, options = {}) {
+    const tolerance = options.tolerance === undefined ? 0 : options.tolerance;
+    if (typeof tolerance !== "number" || !(tolerance >= 0) || tolerance === Infinity) {
+        throw new ObjockeyError("\"tolerance\" must be a non-negative finite number.");
+    }
+    return compare(a, b, {
+        ignoreKeyOrder: options.ignoreKeyOrder !== false,
+        ignoreArrayOrder: Boolean(options.ignoreArrayOrder),
+        tolerance
+    });
+}
+
+function isNumeric(value) {
+    return typeof value === "number" || typeof value === "bigint";
+}
+
+function compare(a, b, options) {
+    if (a === b) {
+        return true;
+    }
+    if (isNumeric(a) && isNumeric(b) && options.tolerance > 0) {
+        if (Number.isNaN(a) && Number.isNaN(b)) {
+            return true;
+        }
+        return Math.abs(Number(a) - Number(b)) <= options.tolerance;
+    }
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null
+        || a instanceof Date || b instanceof Date || Array.isArray(a) !== Array.isArray(b)) {
+        return deepEqual(a, b);
+    }
+
+    if (Array.isArray(a)) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        if (!options.ignoreArrayOrder) {
+            return a.every((value, i) => compare(value, b[i], options));
+        }
+        return options.tolerance > 0 ? matchAll(a, b, options) : sameSignatures(a, b, options);
+    }
+
+    const keys = Object.keys(a);
+    const otherKeys = Object.keys(b);
+    if (keys.length !== otherKeys.length) {
+        return false;
+    }
+    if (!options.ignoreKeyOrder && keys.some((key, i) => key !== otherKeys[i])) {
+        return false;
+    }
+    return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && compare(a[key], b[key], options));
+}
+
+/**
+ * Serializes a value so that values which are equal without tolerance have
+ * the same signature.
+ */
+function signature(value, options) {
+    if (isNumeric(value)) {
+        if (Number.isNaN(value)) {
+            return "NaN";
+        }
+        // Integers are written out in full, so numbers and bigints of equal
+        // value agree.
+        return Number.isInteger(value) || typeof value === "bigint"
+            ? BigInt(value).toString()
+            : String(value);
+    }
+    if (typeof value === "string") {
+        return JSON.stringify(value);
+    }
+    if (typeof value !== "object" || value === null) {
+        return String(value);
+    }
+    if (value instanceof Date) {
+        return `Date(${value.getTime()})`;
+    }
+    if (Array.isArray(value)) {
+        const elements = value.map((element) => signature(element, options));
+        if (options.ignoreArrayOrder) {
+            elements.sort();
+        }
+        return `[${elements.join(",")}]`;
+    }
+    const keys = Object.keys(value);
+    if (options.ignoreKeyOrder) {
+        keys.sort();
+    }
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${signature(value[key], options)}`).join(",")}}`;
+}
+
+/**
+ * Serializes a value so that JSON-like values which `deepEqual()` considers
+ * equal, and only those, have the same string. Usable as a hash key.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function signatureOf(value) {
+    return signature(value, { ignoreKeyOrder: true, ignoreArrayOrder: false });
+}
+
+/**
+ * Compares arrays as multisets, in `O(n log n)` comparisons of signatures.
+ */
+function sameSignatures(a, b, options) {
+    const counts = new Map();
+    for (const element of a) {
+        const key = signature(element, options);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    for (const element of b) {
+        const key = signature(element, options);
+        const count = counts.get(key);
+        if (!count) {
+            return false;
+        }
+        counts.set(key, count - 1);
+    }
+    return true;
+}
+
+/**
+ * Compares arrays as multisets when equality is not transitive (because of
+ * a tolerance), by finding a perfect matching between their elements.
+ */
+function matchAll(a, b, options) {
+    const candidates = a.map((value) => b.flatMap((other, j) => (compare(value, other, options) ? [j] : [])));
+    const owner = new Array(b.length).fill(-1);
+    const assign = (i, visited) => {
+        for (const j of candidates[i]) {
+            if (visited[j]) {
+                continue;
+            }
+            visited[j] = 1;
+            if (owner[j] === -1 || assign(owner[j], visited)) {
+                owner[j] = i;
+                return true;
+            }
+        }
+        return false;
+    };
+    return a.every((value, i) => assign(i, new Uint8Array(b.length)));
+}
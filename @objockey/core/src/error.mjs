@@ -0,0 +1,20 @@
+/**
+ * @objockey/core - errors
+ *
+ * Error type thrown by every part of the Objockey core library.
+ */
+
+export class ObjockeyError extends Error {
+    /**
+     * @param {string} message Human readable description of the error.
+     * @param {object} details Optional extra properties (such as the failing
+     * `path` or `segment`) copied onto the error for programmatic handling.
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = "ObjockeyError";
+        if (details && typeof details === "object") {
+            Object.assign(this, details);
+        }
+    }
+}
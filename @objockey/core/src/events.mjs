@@ -0,0 +1,127 @@
+/**
+ * @objockey/core - change events
+ *
+ * Describes mutations of a buffer, and delivers them to `change` listeners
+ * either as change records or as RFC 6902 JSON Patch operations.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { formatPointer, getPath } from "./path.mjs";
+
+const FORMATS = new Set(["changes", "patch"]);
+
+/**
+ * Describes a single mutation.
+ *
+ * @param {string} operation Name of the mutating method, such as `"push"`.
+ * @param {*} root The buffer, after the mutation.
+ * @param {object} target What the mutation wrote to, as returned by
+ * `resolvePath()` before the mutation.
+ * @param {*} newValue Value written, or undefined if a value was removed.
+ * @returns {object} The change record, with its JSON Patch operation as
+ * `patch`.
+ */
+export function describeChange(operation, root, target, newValue) {
+    const { segments, depth, value: oldValue } = target;
+    const path = formatPointer(segments);
+    let patch;
+    if (newValue === undefined) {
+        patch = { op: "remove", path };
+    } else if (depth === segments.length) {
+        patch = { op: "replace", path, value: newValue };
+    } else {
+        // A path below a missing container adds the outermost container
+        // which was created, since JSON Patch requires the parent to exist.
+        const created = segments.slice(0, depth + 1);
+        patch = { op: "add", path: formatPointer(created), value: getPath(root, created) };
+    }
+    return { operation, path, oldValue, newValue, patch };
+}
+
+export class ChangeEmitter {
+    #listeners = [];
+    #batch = null;
+
+    get active() {
+        return this.#listeners.length > 0;
+    }
+
+    /**
+     * @param {string} event
+     * @param {function} listener
+     * @param {object} options `{ format }` - see `ObjockeyObject.on()`.
+     */
+    on(event, listener, options = {}) {
+        assertEvent(event);
+        if (typeof listener !== "function") {
+            throw new ObjockeyError("\"listener\" must be a function.");
+        }
+        const format = options.format || "changes";
+        if (!FORMATS.has(format)) {
+            throw new ObjockeyError(`Unknown change format "${format}". Use "changes" or "patch".`);
+        }
+        this.#listeners.push({ listener, format });
+    }
+
+    /**
+     * @param {string} event
+     * @param {function} listener Listener to remove, or undefined to remove
+     * every listener.
+     */
+    off(event, listener) {
+        assertEvent(event);
+        this.#listeners = listener === undefined
+            ? []
+            : this.#listeners.filter((each) => each.listener !== listener);
+    }
+
+    /**
+     * Runs `fn`, delivering every change it makes in a single notification
+     * once it returns (or throws). Nested batches join the outermost one.
+     *
+     * @param {function} fn
+     * @returns The return value of `fn`.
+     */
+    batch(fn) {
+        if (this.#batch) {
+            return fn();
+        }
+        this.#batch = [];
+        try {
+            return fn();
+        } finally {
+            const changes = this.#batch;
+            this.#batch = null;
+            this.emit(changes);
+        }
+    }
+
+    /**
+     * Delivers changes to every listener, unless a batch is collecting them.
+     *
+     * @param {array} changes Records returned by `describeChange()`.
+     */
+    emit(changes) {
+        if (this.#batch) {
+            this.#batch.push(...changes);
+            return;
+        }
+        if (changes.length === 0) {
+            return;
+        }
+        // Listeners removing themselves must not skip one another.
+        for (const { listener, format } of [...this.#listeners]) {
+            listener(format === "patch"
+                ? changes.map((change) => change.patch)
+                : changes.map(({ operation, path, oldValue, newValue }) => ({
+                    operation, path, oldValue, newValue
+                })));
+        }
+    }
+}
+
+function assertEvent(event) {
+    if (event !== "change") {
+        throw new ObjockeyError(`Unknown event "${event}". Only "change" events are supported.`);
+    }
+}
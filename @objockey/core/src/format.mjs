@@ -0,0 +1,346 @@
+/**
+ * @objockey/core - formatting
+ *
+ * Renders values as text for printing: indented JSON-like text ("pretty"),
+ * an ASCII tree, or an ASCII table of records. Large values are cut down
+ * by depth, item count and string length, leaving markers which state how
+ * much was left out.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+
+const FORMATS = new Set(["pretty", "tree", "table"]);
+
+// ANSI SGR codes, by kind of text.
+const COLORS = {
+    string: 32,
+    number: 33,
+    boolean: 33,
+    null: 1,
+    undefined: 90,
+    date: 35,
+    key: 36,
+    marker: 90,
+    header: 1
+};
+
+/**
+ * Validates formatting options, filling in their defaults.
+ *
+ * @param {object} options `{ format, indent, maxDepth, maxItems,
+ * maxStringLength, color }` - see `ObjockeyObject.print()`.
+ * @returns {object}
+ */
+export function compileFormat(options = {}) {
+    const format = options.format === undefined ? "pretty" : options.format;
+    if (!FORMATS.has(format)) {
+        throw new ObjockeyError(`Unknown format "${format}". Use "pretty", "tree" or "table".`);
+    }
+    const limit = (name, fallback, allowInfinity = true) => {
+        const value = options[name] === undefined ? fallback : options[name];
+        if (!(Number.isInteger(value) && value >= 0) && !(allowInfinity && value === Infinity)) {
+            throw new ObjockeyError(`"${name}" must be a non-negative integer${allowInfinity ? " or Infinity" : ""}.`);
+        }
+        return value;
+    };
+    return {
+        format,
+        indent: limit("indent", 2, false),
+        maxDepth: limit("maxDepth", Infinity),
+        maxItems: limit("maxItems", Infinity),
+        maxStringLength: limit("maxStringLength", Infinity),
+        color: Boolean(options.color)
+    };
+}
+
+function isContainer(value) {
+    return typeof value === "object" && value !== null && !(value instanceof Date);
+}
+
+function isRecord(value) {
+    return isContainer(value) && !Array.isArray(value);
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function paint(text, kind, options) {
+    return options.color ? `\x1b[${COLORS[kind]}m${text}\x1b[0m` : text;
+}
+
+function kindOf(value) {
+    if (value === null) {
+        return "null";
+    }
+    if (value instanceof Date) {
+        return "date";
+    }
+    return typeof value === "bigint" ? "number" : typeof value;
+}
+
+/**
+ * Cuts a string down to `maxStringLength` characters.
+ *
+ * @returns {array} `[text, omitted]`, where `omitted` is the number of
+ * characters cut off.
+ */
+function truncate(string, options) {
+    const characters = [...string];
+    if (characters.length <= options.maxStringLength) {
+        return [string, 0];
+    }
+    return [characters.slice(0, options.maxStringLength).join(""), characters.length - options.maxStringLength];
+}
+
+/**
+ * Formats a value which is not an object or array.
+ *
+ * @param {boolean} quoted Whether strings are written quoted and escaped.
+ */
+function scalar(value, options, quoted = true) {
+    let text;
+    switch (typeof value) {
+        case "string": {
+            const [kept, omitted] = truncate(value, options);
+            text = paint(quoted ? JSON.stringify(kept) : kept, "string", options);
+            return omitted > 0
+                ? `${text}${paint(`... (${plural(omitted, "more character")})`, "marker", options)}`
+                : text;
+        }
+        case "bigint":
+            text = `${value}n`;
+            break;
+        case "function":
+            text = `[Function${value.name ? `: ${value.name}` : ""}]`;
+            break;
+        default:
+            text = value instanceof Date
+                ? (Number.isNaN(value.getTime()) ? "Invalid Date" : value.toISOString())
+                : String(value);
+    }
+    return paint(text, kindOf(value), options);
+}
+
+function keysOf(value) {
+    return Array.isArray(value) ? [...value.keys()] : Object.keys(value);
+}
+
+/**
+ * Describes a container which is not expanded, such as `[... 3 items]`.
+ */
+function collapsed(value, options) {
+    const count = keysOf(value).length;
+    return paint(Array.isArray(value) ? `[... ${plural(count, "item")}]` : `{... ${plural(count, "key")}}`, "marker", options);
+}
+
+function omittedMarker(count, total, isArray, options) {
+    return paint(`... ${plural(total - count, isArray ? "more item" : "more key")}`, "marker", options);
+}
+
+/**
+ * Formats a value on a single line.
+ */
+function inline(value, options, depth, ancestors) {
+    if (!isContainer(value)) {
+        return scalar(value, options);
+    }
+    if (ancestors.has(value)) {
+        return paint("[Circular]", "marker", options);
+    }
+    const isArray = Array.isArray(value);
+    const keys = keysOf(value);
+    if (keys.length === 0) {
+        return isArray ? "[]" : "{}";
+    }
+    if (depth >= options.maxDepth) {
+        return collapsed(value, options);
+    }
+    ancestors.add(value);
+    const shown = keys.slice(0, options.maxItems);
+    const parts = shown.map((key) => {
+        const text = inline(value[key], options, depth + 1, ancestors);
+        return isArray ? text : `${paint(JSON.stringify(key), "key", options)}: ${text}`;
+    });
+    ancestors.delete(value);
+    if (shown.length < keys.length) {
+        parts.push(omittedMarker(shown.length, keys.length, isArray, options));
+    }
+    return isArray ? `[${parts.join(", ")}]` : `{${parts.join(", ")}}`;
+}
+
+function pretty(value, options, depth, pad, ancestors) {
+    if (!isContainer(value) || options.indent === 0) {
+        return inline(value, options, depth, ancestors);
+    }
+    if (ancestors.has(value)) {
+        return paint("[Circular]", "marker", options);
+    }
+    const isArray = Array.isArray(value);
+    const keys = keysOf(value);
+    if (keys.length === 0) {
+        return isArray ? "[]" : "{}";
+    }
+    if (depth >= options.maxDepth) {
+        return collapsed(value, options);
+    }
+    ancestors.add(value);
+    const inner = pad + " ".repeat(options.indent);
+    const shown = keys.slice(0, options.maxItems);
+    const lines = shown.map((key) => {
+        const text = pretty(value[key], options, depth + 1, inner, ancestors);
+        return inner + (isArray ? text : `${paint(JSON.stringify(key), "key", options)}: ${text}`);
+    });
+    ancestors.delete(value);
+    if (shown.length < keys.length) {
+        lines.push(inner + omittedMarker(shown.length, keys.length, isArray, options));
+    }
+    return `${isArray ? "[" : "{"}\n${lines.join(",\n")}\n${pad}${isArray ? "]" : "}"}`;
+}
+
+/**
+ * Labels a container in a tree, such as `[3]` for an array of 3 elements.
+ */
+function label(value) {
+    const count = keysOf(value).length;
+    return Array.isArray(value) ? `[${count}]` : `{${count}}`;
+}
+
+function tree(value, options) {
+    if (!isContainer(value)) {
+        return scalar(value, options);
+    }
+    if (options.maxDepth === 0) {
+        return collapsed(value, options);
+    }
+    const width = Math.max(options.indent, 1);
+    const lines = [label(value)];
+    const ancestors = new Set();
+
+    const walk = (node, prefix, depth) => {
+        ancestors.add(node);
+        const keys = keysOf(node);
+        const shown = keys.slice(0, options.maxItems);
+        const count = shown.length + (shown.length < keys.length ? 1 : 0);
+        shown.forEach((key, i) => {
+            const last = i === count - 1;
+            const line = prefix + (last ? "`" : "|") + "-".repeat(width) + " ";
+            const child = node[key];
+            const name = paint(String(key), "key", options);
+            if (!isContainer(child) || keysOf(child).length === 0) {
+                lines.push(`${line}${name}: ${isContainer(child) ? inline(child, options, depth, ancestors) : scalar(child, options)}`);
+            } else if (ancestors.has(child)) {
+                lines.push(`${line}${name}: ${paint("[Circular]", "marker", options)}`);
+            } else if (depth + 1 >= options.maxDepth) {
+                lines.push(`${line}${name} ${collapsed(child, options)}`);
+            } else {
+                lines.push(`${line}${name} ${label(child)}`);
+                walk(child, prefix + (last ? " " : "|") + " ".repeat(width + 1), depth + 1);
+            }
+        });
+        if (shown.length < keys.length) {
+            lines.push(`${prefix}\`${"-".repeat(width)} ${omittedMarker(shown.length, keys.length, Array.isArray(node), options)}`);
+        }
+        ancestors.delete(node);
+    };
+    walk(value, "", 0);
+    return lines.join("\n");
+}
+
+/**
+ * Escapes control characters such as line breaks and tabs, as JSON does,
+ * so that they cannot break the layout of a table.
+ */
+function escapeControls(text) {
+    return text.replace(/[\u0000-\u001f\u007f-\u009f]/g, (char) => (char < " "
+        ? JSON.stringify(char).slice(1, -1)
+        : `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`));
+}
+
+function table(value, options) {
+    if (!isContainer(value)) {
+        return scalar(value, options);
+    }
+    const rows = Array.isArray(value)
+        ? value.map((record, i) => [String(i), record])
+        : Object.keys(value).map((key) => [key, value[key]]);
+    const shown = rows.slice(0, options.maxItems);
+
+    // Columns are the keys of the records, in order of first appearance.
+    // Records which are not objects go into a "(value)" column.
+    const columns = new Set();
+    let values = false;
+    for (const [, record] of shown) {
+        if (isRecord(record)) {
+            for (const key of Object.keys(record)) {
+                columns.add(key);
+            }
+        } else {
+            values = true;
+        }
+    }
+
+    // Cells are measured without colors, which are added after padding.
+    const plain = { ...options, color: false };
+    const cell = (content) => {
+        if (content === undefined) {
+            return { text: "", kind: null };
+        }
+        const text = typeof content === "string"
+            ? escapeControls(content)
+            : inline(content, plain, 2, new Set());
+        const [kept, omitted] = truncate(text, options);
+        return {
+            text: omitted > 0 ? `${kept}... (${plural(omitted, "more character")})` : kept,
+            kind: isContainer(content) ? null : kindOf(content)
+        };
+    };
+    const header = ["(index)", ...columns, ...(values ? ["(value)"] : [])]
+        .map((text) => ({ text: escapeControls(text), kind: "header" }));
+    const body = shown.map(([index, record]) => [
+        { text: escapeControls(index), kind: "key" },
+        ...[...columns].map((column) => cell(isRecord(record) && Object.prototype.hasOwnProperty.call(record, column)
+            ? record[column]
+            : undefined)),
+        ...(values ? [cell(isRecord(record) ? undefined : record)] : [])
+    ]);
+
+    // Measured in a loop, as spreading every row into Math.max() overflows
+    // the stack for large arrays.
+    const widths = header.map((heading) => [...heading.text].length);
+    for (const row of body) {
+        row.forEach(({ text }, i) => {
+            widths[i] = Math.max(widths[i], [...text].length);
+        });
+    }
+    const border = `+${widths.map((width) => "-".repeat(width + 2)).join("+")}+`;
+    const line = (row) => `| ${row.map(({ text, kind }, i) => {
+        const padding = " ".repeat(widths[i] - [...text].length);
+        const painted = kind ? paint(text, kind, options) : text;
+        return kind === "number" ? padding + painted : painted + padding;
+    }).join(" | ")} |`;
+
+    const lines = [border, line(header), border, ...body.map(line), border];
+    if (shown.length < rows.length) {
+        lines.push(paint(`... ${plural(rows.length - shown.length, "more row")}`, "marker", options));
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Formats a value as text.
+ *
+ * @param {*} value
+ * @param {object} options Options returned by `compileFormat()`.
+ * @returns {string}
+ */
+export function formatValue(value, options) {
+    switch (options.format) {
+        case "tree":
+            return tree(value, options);
+        case "table":
+            return table(value, options);
+        default:
+            return pretty(value, options, 0, "", new Set());
+    }
+}
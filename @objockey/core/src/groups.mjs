@@ -0,0 +1,172 @@
+/**
+ * @objockey/core - groups
+ *
+ * Buckets the records of an internal buffer by one or more keys, and reduces
+ * each bucket to a single row using the descriptors from `aggregate.mjs`.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { parsePath, getPath } from "./path.mjs";
+
+/**
+ * Serializes a group key so that equal keys map to the same bucket. The type
+ * of every part is kept, so `1` and `"1"` end up in different groups.
+ *
+ * @param {array} parts
+ * @returns {string}
+ */
+export function serializeKey(parts) {
+    return JSON.stringify(parts.map((part) => [
+        typeof part,
+        typeof part === "bigint" || part === undefined ? String(part) : part
+    ]));
+}
+
+/**
+ * @param {function | string | array} keys Key function, field path, or an
+ * array of either.
+ * @returns {array} Keys as `{ name, extract }` for functions, or
+ * `{ name, field }` for field paths, where `name` is the name of the key
+ * field in rows.
+ */
+export function compileKeys(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (list.length === 0) {
+        throw new ObjockeyError("\"keys\" must contain at least one key.");
+    }
+    return list.map((key, i) => {
+        if (typeof key === "function") {
+            return { name: list.length === 1 ? "key" : `key${i}`, extract: key };
+        }
+        if (typeof key === "string") {
+            const segments = parsePath(key);
+            return { name: key, field: segments };
+        }
+        throw new ObjockeyError("Group keys must be functions or field paths.");
+    });
+}
+
+export class ObjockeyGroups {
+    #buffer;
+    #keys;
+    #groups = new Map();
+
+    /**
+     * @param {array | object} buffer Buffer whose records get grouped.
+     * @param {function | string | array} keys Key function, field path, or an
+     * array of either for multi-key grouping.
+     */
+    constructor(buffer, keys) {
+        this.#buffer = buffer;
+        this.#keys = compileKeys(keys);
+
+        if (Array.isArray(buffer)) {
+            let i = 0;
+            for (let val of buffer) {
+                this.#add([val, i, buffer], val);
+                i++;
+            }
+        } else if (typeof buffer === "object" && buffer !== null) {
+            for (let key in buffer) {
+                this.#add([key, buffer[key], buffer], buffer[key]);
+            }
+        }
+    }
+
+    #add(args, record) {
+        const parts = this.#keys.map((key) => key.field
+            ? getFieldOf(record, key.field)
+            : key.extract(...args));
+        const id = serializeKey(parts);
+        let group = this.#groups.get(id);
+        if (!group) {
+            group = { parts, records: [] };
+            this.#groups.set(id, group);
+        }
+        group.records.push(args);
+    }
+
+    #keyFields(parts) {
+        const row = {};
+        this.#keys.forEach((key, i) => {
+            row[key.name] = parts[i];
+        });
+        return row;
+    }
+
+    /**
+     * @returns {integer} The number of groups.
+     */
+    get size() {
+        return this.#groups.size;
+    }
+
+    /**
+     * Reduces every group to one row. Groups appear in the order their first
+     * record appears in the buffer.
+     *
+     * @example
+     * obj.groupBy("region").aggregate({
+     *     total: sum((order) => order.price),
+     *     n: count(),
+     *     hi: max((order) => order.price)
+     * });
+     *
+     * @param {object} spec Object of `{ column: aggregation }`, where every
+     * aggregation is created with `sum()`, `count()`, `average()`, `median()`,
+     * `min()` or `max()`.
+     * @returns {array} One row per group, containing the group key fields
+     * followed by the aggregated columns.
+     */
+    aggregate(spec) {
+        if (!spec || typeof spec !== "object") {
+            throw new ObjockeyError("\"spec\" must be an object of aggregations.");
+        }
+        for (const column in spec) {
+            const aggregation = spec[column];
+            if (!aggregation || typeof aggregation.reduce !== "function") {
+                throw new ObjockeyError(`"${column}" is not an aggregation. Use sum(), count(), average(), median(), min() or max().`);
+            }
+        }
+
+        const rows = [];
+        for (const { parts, records } of this.#groups.values()) {
+            const row = this.#keyFields(parts);
+            for (const column in spec) {
+                const { callback, accepts, reduce } = spec[column];
+                const values = [];
+                for (const args of records) {
+                    const value = callback(...args);
+                    if (accepts(value)) {
+                        values.push(value);
+                    }
+                }
+                row[column] = reduce(values);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * @returns {array} Every group as `{ ...keyFields, items }`, where `items`
+     * holds the grouped array elements, or the `{ key: value }` pairs of the
+     * grouped object properties.
+     */
+    toArray() {
+        const isArray = Array.isArray(this.#buffer);
+        return [...this.#groups.values()].map(({ parts, records }) => ({
+            ...this.#keyFields(parts),
+            items: isArray
+                ? records.map(([val]) => val)
+                : records.map(([key, val]) => ({ [key]: val }))
+        }));
+    }
+}
+
+function getFieldOf(record, segments) {
+    if (typeof record !== "object" || record === null) {
+        return undefined;
+    }
+    return getPath(record, segments);
+}
@@ -0,0 +1,70 @@
+/**
+ * @objockey/core - immutable values
+ *
+ * Helpers for immutable buffers, which are deeply frozen and never modified:
+ * writes copy the containers along the written path, and share everything
+ * else with the previous version.
+ */
+
+function isContainer(value) {
+    return typeof value === "object" && value !== null;
+}
+
+function shallowCopy(node) {
+    return Array.isArray(node) ? [...node] : { ...node };
+}
+
+/**
+ * Freezes `value` and every object and array within it, in place. Frozen
+ * subtrees are skipped, as they were frozen along with their contents.
+ *
+ * @param {*} value
+ * @returns {*} `value`
+ */
+export function deepFreeze(value) {
+    if (!isContainer(value) || Object.isFrozen(value)) {
+        return value;
+    }
+    Object.freeze(value);
+    for (const key of Object.keys(value)) {
+        deepFreeze(value[key]);
+    }
+    return value;
+}
+
+/**
+ * Copies `root` and the existing containers along the first `count` segments
+ * of a path, so that the path can be written to without modifying `root`.
+ *
+ * @param {*} root
+ * @param {array} segments
+ * @param {number} count
+ * @returns {*} The copied root, sharing every container off the path. Values
+ * which are not objects or arrays are returned as they are.
+ */
+export function copyPath(root, segments, count) {
+    if (!isContainer(root)) {
+        return root;
+    }
+    const result = shallowCopy(root);
+    let node = result;
+    for (let i = 0; i < count; i++) {
+        const segment = segments[i];
+        if (!Object.prototype.hasOwnProperty.call(node, segment) || !isContainer(node[segment])) {
+            break;
+        }
+        node[segment] = shallowCopy(node[segment]);
+        node = node[segment];
+    }
+    return result;
+}
+
+/**
+ * Returns a writable shallow copy of `node` if it is frozen.
+ *
+ * @param {object | array} node
+ * @returns {object | array}
+ */
+export function thaw(node) {
+    return Object.isFrozen(node) ? shallowCopy(node) : node;
+}
@@ -7,16 +7,50 @@
  * fit to any situation.
  */
 
-class ObjockeyError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = "ObjockeyError";
-    }
-}
+import { ObjockeyError } from "./error.mjs";
+import { parsePath, getPath, hasPath, setPath, deletePath, resolvePath } from "./path.mjs";
+import { queryJSONPath, formatNormalizedPath } from "./jsonpath.mjs";
+import { ObjockeyChain } from "./chain.mjs";
+import { ObjockeyGroups } from "./groups.mjs";
+import { ObjockeyIndex } from "./indexes.mjs";
+import { toCallback } from "./query.mjs";
+import { parseStream, streamMatches } from "./stream.mjs";
+import { parseNDJSON, parseNDJSONStream, ndjsonLines, writeNDJSON } from "./ndjson.mjs";
+import { parseCSV, stringifyCSV } from "./csv.mjs";
+import { compileSchema, formatViolations } from "./schema.mjs";
+import { ChangeEmitter, describeChange } from "./events.mjs";
+import { diffValues, applyPatchOps } from "./patch.mjs";
+import { compileMergeOptions, mergeValues } from "./merge.mjs";
+import { deepFreeze, copyPath } from "./immutable.mjs";
+import { joinRecords } from "./join.mjs";
+import { sortRecords, selectRecords } from "./sort.mjs";
+import { paginateRecords } from "./paginate.mjs";
+import { equalWith } from "./equality.mjs";
+import { canonicalize } from "./canonical.mjs";
+import { distinctRecords, findDuplicates, dedupeRecords } from "./dedupe.mjs";
+import { compileFormat, formatValue } from "./format.mjs";
+import { pivotRecords, unpivotRecords, transposeRecords } from "./reshape.mjs";
+import {
+    collect, sumOf, meanOf, medianOf, minOf, maxOf, modeOf, varianceOf,
+    quantileOf, histogramOf
+} from "./statistics.mjs";
+
+export { ObjockeyError };
+export { sum, count, average, median, min, max } from "./aggregate.mjs";
 
 export class ObjockeyObject {
     #print_output_using = console.log;
+    #print_options = null;
     #internal;
+    #indexes = new Map();
+    #store = null;
+    #schema = null;
+    #events = new ChangeEmitter();
+    #group = null;
+    #history = null;
+    #snapshots = new Map();
+    #snapshotCount = 0;
+    #immutable = false;
     constructor(source) {
         // Keep data as-is if it is already an array or an object.
         if (Array.isArray(source) || source instanceof Object) {
@@ -37,209 +71,1974 @@ export class ObjockeyObject {
         }
     }
 
-
-    // GENERIC JSON ARRAY/OBJECT METHODS
+    // STREAMING
+
+    /**
+     * Creates an `ObjockeyObject` from a JSON document read incrementally from
+     * a stream, so that parsing never blocks the event loop for longer than a
+     * single chunk takes.
+     * 
+     * @param {Readable | AsyncIterable | Iterable} source A Node readable
+     * stream, or any (async) iterable of string or `Uint8Array` chunks.
+     * @returns {Promise<ObjockeyObject>}
+     */
+    static async fromStream(source) {
+        const document = await parseStream(source);
+        if (typeof document !== "object" || document === null) {
+            throw new ObjockeyError("Streamed JSON document must be an object or array.");
+        }
+        return new this("").set(document);
+    }
+
+    /**
+     * Reads a JSON document incrementally from a stream, yielding the values
+     * found at `path` one by one as soon as each of them has been parsed.
+     * Only the value currently being parsed is held in memory, never the
+     * whole document.
+     * 
+     * @example
+     * for await (const record of ObjockeyObject.streamValues(
+     *     fs.createReadStream("export.json"), "$.data[*]")) {
+     *     ...
+     * }
+     * 
+     * @param {Readable | AsyncIterable | Iterable} source A Node readable
+     * stream, or any (async) iterable of string or `Uint8Array` chunks.
+     * @param {string} path JSONPath made of names, wildcards and indexes only.
+     * Defaults to `$[*]`, the elements of a top-level array.
+     * @returns {AsyncIterable} The matched values.
+     */
+    static async *streamValues(source, path = "$[*]") {
+        for await (const match of streamMatches(source, path)) {
+            yield match.value;
+        }
+    }
+
+    /**
+     * Callback flavor of `.streamValues()`. The stream is only read further
+     * once the promise returned by `callback` (if any) has resolved.
+     * 
+     * @param {Readable | AsyncIterable | Iterable} source
+     * @param {string} path See `.streamValues()`.
+     * @param {function} callback `callback(value, path)`, where `path` is the
+     * normalized path of the value, such as `$['data'][3]`.
+     * @returns {Promise<integer>} The number of values found.
+     */
+    static async forEachStreamed(source, path, callback) {
+        if (typeof callback !== "function") {
+            throw new ObjockeyError("\"callback\" must be a function.");
+        }
+        let count = 0;
+        for await (const match of streamMatches(source, path || "$[*]")) {
+            await callback(match.value, match.path);
+            count++;
+        }
+        return count;
+    }
+
+    // NDJSON
+
+    /**
+     * Creates an `ObjockeyObject` from newline-delimited JSON (NDJSON / JSON
+     * Lines). Every line becomes one element of an array buffer.
+     * 
+     * *Throws an error stating the line number of the first malformed line,
+     * unless `options.errors` is given.*
+     * 
+     * @param {string | Readable | AsyncIterable} source NDJSON text, or a
+     * stream of it.
+     * @param {object} options `{ skipBlank, errors }`
+     * 
+     * `skipBlank` - Whether blank lines are skipped (default) or treated as
+     * malformed records.
+     * 
+     * `errors` - An array to collect malformed lines into, as
+     * `{ line, text, error }`, instead of aborting.
+     * 
+     * @returns {ObjockeyObject | Promise<ObjockeyObject>} The new object, or a
+     * promise of it if `source` is a stream.
+     */
+    static fromNDJSON(source, options) {
+        if (typeof source === "string") {
+            return new this("").set(parseNDJSON(source, options));
+        }
+        return parseNDJSONStream(source, options).then((records) => new this("").set(records));
+    }
+
+    /**
+     * @returns {string} The internal buffer as NDJSON: one line per array
+     * element, or one `{ key: value }` line per object property.
+     */
+    toNDJSON() {
+        let text = "";
+        for (const line of ndjsonLines(this.#internal)) {
+            text += line;
+        }
+        return text;
+    }
+
+    /**
+     * Writes the internal buffer as NDJSON (see `.toNDJSON()`) to a writable
+     * stream line by line, respecting backpressure. Does not end the stream.
+     * 
+     * @param {Writable} writable
+     * @returns {Promise} Resolves once every line has been written.
+     */
+    writeNDJSON(writable) {
+        return writeNDJSON(this.#internal, writable);
+    }
+
+    // PERSISTENCE
+
+    /**
+     * Opens a file-backed `ObjockeyObject`. The buffer is loaded from the
+     * JSON file at `path`, which is created if it does not exist. Every
+     * change made through `.push()`, `.replace()`, `.set()` and `.delete()`
+     * is then appended to a journal kept next to it (`<path>.journal`), and
+     * the journal is replayed when the file is opened again. Once the journal
+     * holds `compactEvery` changes, it is compacted into a new snapshot of
+     * the file.
+     * 
+     * Files are always replaced by writing a temporary file and renaming it
+     * over the original, so a crash never leaves a half-written file behind.
+     * A journal entry torn by a crash is dropped on reopen.
+     * 
+     * Only Node.js is supported, as the file system is accessed through
+     * `node:fs`. Values are stored as JSON, so dates come back as strings.
+     * 
+     * *Throws an error if the file or the journal cannot be parsed.*
+     * 
+     * @param {string} path Path of the JSON file.
+     * @param {object} options `{ initial, compactEvery, fsync }`
+     * 
+     * `initial` - Buffer to start with if the file does not exist yet, `{}`
+     * by default.
+     * 
+     * `compactEvery` - Number of journaled changes after which the journal
+     * is compacted, 1000 by default. Pass Infinity to only compact when 
+     * calling `.compact()`.
+     * 
+     * `fsync` - Whether to flush the journal to disk after every change.
+     * Slower, but survives power loss rather than only process crashes.
+     * 
+     * @returns {Promise<ObjockeyObject>}
+     */
+    static async open(path, options) {
+        const { ObjockeyStore } = await import("./store.mjs");
+        const { store, buffer, entries } = ObjockeyStore.load(path, options);
+        const object = new this("").set(buffer);
+        try {
+            for (const entry of entries) {
+                object.#replay(entry);
+            }
+        } catch (err) {
+            store.close();
+            throw err;
+        }
+        object.#store = store;
+        if (store.due) {
+            object.compact();
+        }
+        return object;
+    }
+
+    /**
+     * Writes the internal buffer of a file-backed object (see `.open()`) as
+     * a new snapshot, and empties the journal.
+     * 
+     * *Throws an error if the object is not file-backed.*
+     * 
+     * @returns {this}
+     */
+    compact() {
+        if (!this.#store) {
+            throw new ObjockeyError("Only objects opened with ObjockeyObject.open() can be compacted.");
+        }
+        this.#store.compact(this.#internal);
+        return this;
+    }
+
+    /**
+     * Closes the files of a file-backed object (see `.open()`). Changes made
+     * afterwards are kept in memory only.
+     * 
+     * @param {object} options `{ compact }` - Set `compact` to true to write
+     * a new snapshot before closing.
+     * @returns {this}
+     */
+    close(options = {}) {
+        if (this.#store) {
+            if (options.compact) {
+                this.compact();
+            }
+            this.#store.close();
+            this.#store = null;
+        }
+        return this;
+    }
+
+    /**
+     * Appends changes to the journal of a file-backed object, compacting the
+     * journal when it is due.
+     * 
+     * @param {array} entries Changes leading to the current internal buffer,
+     * as `{ op, path, key, value }`.
+     */
+    #persist(entries) {
+        if (!this.#store || entries.length === 0) {
+            return;
+        }
+        // Journaling a whole new buffer costs as much as a new snapshot.
+        if (entries.some((entry) => entry.op === "set" && entry.path === undefined)) {
+            this.#store.compact(this.#internal);
+            return;
+        }
+        for (const entry of entries) {
+            this.#store.append(entry);
+        }
+        if (this.#store.due) {
+            this.#store.compact(this.#internal);
+        }
+    }
+
+    /**
+     * Applies a journal entry written by `#persist()`.
+     * 
+     * @param {object} entry
+     */
+    #replay(entry) {
+        switch (entry.op) {
+            case "push":
+                this.push(entry.value);
+                break;
+            case "replace":
+                this.replace(entry.key, () => entry.value);
+                break;
+            case "set":
+                if (entry.path === undefined) {
+                    this.set(entry.value);
+                } else {
+                    this.set(entry.path, entry.value);
+                }
+                break;
+            case "delete":
+                this.delete(entry.path);
+                break;
+            case "patch":
+                this.applyPatch(entry.ops);
+                break;
+            default:
+                throw new ObjockeyError(`Unknown journal operation "${entry.op}".`);
+        }
+    }
+
+    // CSV
+
+    /**
+     * Creates an `ObjockeyObject` from RFC 4180 CSV text, or from TSV and 
+     * other delimiter separated text using the `delimiter` option.
+     * 
+     * *Throws an error stating the line number of malformed quoting, of
+     * rows with more fields than there are columns, or of columns which
+     * conflict, such as `a` and `a.b` both holding values.*
+     * 
+     * @param {string} text
+     * @param {object} options `{ delimiter, header, columns, inferTypes, nest }`
+     * 
+     * `delimiter` - Field delimiter, `","` by default. Use `"\t"` for TSV.
+     * 
+     * `header` - Whether the first row holds the column names (default). If
+     * false, and no `columns` are given, rows are imported as arrays.
+     * 
+     * `columns` - Column names to use instead of a header row.
+     * 
+     * `inferTypes` - Whether to convert unquoted numbers, `true`, `false`,
+     * `null` and empty fields to numbers, booleans and null. Off by default.
+     * 
+     * `nest` - Whether dotted column names such as `address.city` or
+     * `tags[0]` get re-nested into objects and arrays (default). A column
+     * such as `tags` next to `tags[0]` holds the value of rows where it is
+     * filled in, `[]` and `{}` being read as empty arrays and objects, and
+     * is skipped where it is empty.
+     * 
+     * @returns {ObjockeyObject} An object with an array buffer of records.
+     */
+    static fromCSV(text, options) {
+        return new this("").set(parseCSV(text, options));
+    }
+
+    /**
+     * Writes the internal buffer as CSV. Arrays of arrays are written as-is,
+     * arrays of objects with a header row of column names. Object buffers are
+     * written as one row per property, with the property key in the column
+     * named by `keyColumn`.
+     * 
+     * @example
+     * const csv = new ObjockeyObject("").set([{ tags: ["x", "y"] }, { tags: [] }]).toCSV();
+     * // "tags[0],tags[1],tags\r\nx,y,\r\n,,[]\r\n"
+     * ObjockeyObject.fromCSV(csv).valueOf(); // [{ tags: ["x", "y"] }, { tags: [] }]
+     * 
+     * @param {object} options `{ delimiter, header, columns, flatten, 
+     * newline, quoteAll, keyColumn }`
+     * 
+     * `delimiter` - Field delimiter, `","` by default. Use `"\t"` for TSV.
+     * 
+     * `header` - Whether to write a header row (default).
+     * 
+     * `columns` - Columns to write, in order. Defaults to every column, in
+     * order of first appearance.
+     * 
+     * `flatten` - Whether nested objects and arrays are flattened into dotted
+     * column names such as `address.city` and `tags[0]` (default). If false,
+     * they are written as JSON.
+     * 
+     * `newline` - Row terminator, `"\r\n"` by default.
+     * 
+     * `quoteAll` - Whether to quote every field, rather than only fields 
+     * containing delimiters, quotes or line breaks.
+     * 
+     * `keyColumn` - Column holding the property keys of an object buffer,
+     * `"key"` by default.
+     * 
+     * @returns {string}
+     */
+    toCSV(options) {
+        return stringifyCSV(this.#internal, options);
+    }
+
+
+    // GENERIC JSON ARRAY/OBJECT METHODS
+
+    /**
+     * Locates an index using a callback function. Returns -1 if index is not
+     * found.
+     * 
+     * @param {function | object} callback 
+     *  `callback(key, i | value, buffer)`
+     * 
+     *  `key` - If the internal buffer is an array, this is the value of the 
+     * current position in the array. If the internal buffer is an object, this
+     * is the key of the current object property.
+     * 
+     *  `i | value` - If the internal buffer is an array, this is the current position 
+     * of the loop. If the internal buffer is an object, this is the value of
+     * the current object property. 
+     * 
+     *  `buffer` - Internal buffer of the `Objockey` object
+     * 
+     *  Instead of a callback, a MongoDB-style query document such as
+     * `{ age: { $gte: 21 }, "address.city": { $in: ["Oslo", "Bergen"] } }` may
+     * be passed, which is matched against array elements or object property
+     * values. See `.filter()` for the supported operators.
+     * 
+     * @returns If the internal buffer is an array, returns the first index at 
+     * which the callback function was fulfilled. If the internal
+     * buffer is an object, returns the first key instead. 
+     */
+    findIndex(callback) {
+        callback = toCallback(callback, this.isArray());
+        let i = 0
+        if (Array.isArray(this.#internal)) {
+            for (let val of this.#internal) {
+                if (callback(val, i, this.#internal)) {
+                    return i;
+                }
+                i++;
+            }
+        } else if (typeof this.#internal === "object" && this.#internal !== null) {
+            for (let key in this.#internal) {
+                if (callback(key, this.#internal[key], this.#internal)) {
+                    return key;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 
+     * @param {function | object} callback 
+     *  `callback(key, i | value, buffer)`
+     * 
+     *  `key` - If the internal buffer is an array, this is the value of the 
+     * current position in the array. If the internal buffer is an object, this
+     * is the key of the current object property.
+     * 
+     *  `i | value` - If the internal buffer is an array, this is the current position 
+     * of the loop. If the internal buffer is an object, this is the value of
+     * the current object property. 
+     * 
+     *  `buffer` - Internal buffer of the `Objockey` object
+     * 
+     *  Instead of a callback, a MongoDB-style query document such as
+     * `{ age: { $gte: 21 }, "address.city": { $in: ["Oslo", "Bergen"] } }` may
+     * be passed, which is matched against array elements or object property
+     * values. See `.filter()` for the supported operators.
+     * 
+     * @returns Array of indexes or keys of the found elements, or null if no 
+     * elements are found.
+     */
+    findAllIndexes(callback) {
+        callback = toCallback(callback, this.isArray());
+        let indexes = [];
+        let i = 0
+        if (Array.isArray(this.#internal)) {
+            for (let val of this.#internal) {
+                if (callback(val, i, this.#internal)) {
+                    indexes.push(i);
+                }
+                i++;
+            }
+        } else if (typeof this.#internal === "object") {
+            for (let key in this.#internal) {
+                if (callback(key, this.#internal[key], this.#internal)) {
+                    indexes.push(key);
+                }
+            }
+        }
+
+        return indexes.length > 0 ? indexes : null;
+    }
+
+    /**
+     * Sorts through the internal buffer using an array of boolean-returning
+     * callback functions. Each callback will fill an array full of values, 
+     * which will be added to the return array in the order each callback 
+     * function was called.
+     * 
+     * @param {array} callbacks Array of boolean returning sorting functions, 
+     * or of query documents (see `.filter()`).
+     * 
+     *  `callback(key, value | i, buffer)`
+     * 
+     *  `key` - If the internal buffer is an array, this is the value of the 
+     * current position in the array. If the internal buffer is an object, this
+     * is the key of the current object property.
+     * 
+     *  `value | i` - If the internal buffer is an array, this is the current position 
+     * of the loop. If the internal buffer is an object, this is the value of
+     * the current object property.
+     * 
+     *  `buffer` - Internal buffer of the `Objockey` object.
+     * 
+     * @returns Two dimensional array, with each array either consisting of 
+     * object keys, array indexes, or null if the search term was not satisfied.
+     */
+    findIndexes2D(callbacks) {
+        let indexes = [];
+        if (!(Array.isArray(callbacks))) {
+            throw new ObjockeyError("\"callbacks\" must be an array of functions.");
+        }
+        for (let callback of callbacks) {
+            callback = toCallback(callback, this.isArray());
+            if (typeof callback !== "function") {
+                throw new ObjockeyError("\"callbacks\" must be an array of functions.");
+            }
+            let set = [];
+            if (this.isArray()) {
+                let i = 0;
+                for (let val of this.#internal) {
+                    if (callback(val, i, this.#internal)) {
+                        set.push(i);
+                    }
+                    i++;
+                }
+                indexes.push(set.length > 0 ? set : null);
+            } else if (typeof this.#internal === "object") {
+                for (let key in this.#internal) {
+                    if (callback(key, this.#internal[key], this.#internal)) {
+                        set.push(key);
+                    }
+                }
+            }
+        }
+        return indexes;
+    }
+
+    // // PATH ACCESS // //
+
+    /**
+     * Reads a value nested anywhere in the internal buffer.
+     * 
+     * @param {string | number | array} path Either a dotted/bracket path such
+     * as `users[3].address.city`, an RFC 6901 JSON Pointer such as
+     * `/users/3/address/city`, or an array of path segments. An empty string
+     * refers to the whole internal buffer.
+     * 
+     * *Throws an error if traversal runs into a primitive value before
+     * reaching the end of the path.*
+     * 
+     * @returns The value found at `path`, or undefined if it does not exist.
+     */
+    get(path) {
+        return getPath(this.#internal, parsePath(path));
+    }
+
+    /**
+     * Checks whether a value exists at a path of the internal buffer. Unlike
+     * `.get()`, this never throws for paths running through primitive values.
+     * 
+     * @param {string | number | array} path Dotted/bracket path, JSON Pointer
+     * or array of path segments.
+     * @returns {boolean}
+     */
+    has(path) {
+        return hasPath(this.#internal, parsePath(path));
+    }
+
+    /**
+     * Removes the value at a path of the internal buffer. Array elements are
+     * spliced out, shifting the elements after them.
+     * 
+     * *Throws an error if traversal runs into a primitive value before
+     * reaching the end of the path.*
+     * 
+     * @param {string | number | array} path Dotted/bracket path, JSON Pointer
+     * or array of path segments.
+     * @returns {this} Or, for an immutable object, the new version (see
+     * `ObjockeyObject.immutable()`), or `this` if nothing was removed.
+     */
+    delete(path) {
+        const segments = parsePath(path);
+        if (this.#immutable) {
+            const root = copyPath(this.#internal, segments, segments.length - 1);
+            if (!deletePath(root, segments)) {
+                return this;
+            }
+            return this.#derive(
+                root,
+                segments.length === 1 && this.isArray() ? null : [this.#position(segments[0])]
+            );
+        }
+        const rollback = this.#guarded() ? this.#recordRollback(segments, true) : null;
+        const target = this.#events.active ? resolvePath(this.#internal, segments) : null;
+        if (deletePath(this.#internal, segments)) {
+            const topLevel = segments.length === 1;
+            this.#commit(
+                topLevel && this.isArray() ? null : [this.#position(segments[0])],
+                rollback,
+                { op: "delete", path: segments },
+                () => [describeChange("delete", this.#internal, target, undefined)]
+            );
+        }
+        return this;
+    }
+
+    // // QUERYING // //
+
+    /**
+     * Runs a JSONPath query against the internal buffer. Supports the root
+     * (`$`) and current (`@`) node identifiers, child (`.name`, `['name']`)
+     * and recursive descent (`..`) segments, wildcards (`*`), indexes, slices
+     * (`[start:end:step]`), unions (`[0,2,'name']`) and filter expressions
+     * (`[?(@.price < 10 && @.tags)]`, with the `length()`, `count()`,
+     * `match()`, `search()` and `value()` functions).
+     * 
+     * *Throws an error if the expression cannot be parsed.*
+     * 
+     * @param {string} expr JSONPath expression, such as
+     * `$.orders[*].items[*].price`.
+     * @returns {array} Every matched value, in document order.
+     */
+    query(expr) {
+        return queryJSONPath(expr, this.#internal).map((node) => node.value);
+    }
+
+    /**
+     * Runs a JSONPath query against the internal buffer, returning the
+     * normalized paths of the matches rather than their values. The returned
+     * paths, such as `$['orders'][0]['items'][1]['price']`, are accepted by
+     * `.get()`, `.set()`, `.has()` and `.delete()`.
+     * 
+     * @param {string} expr JSONPath expression.
+     * @returns {array} Normalized path strings of every match, in document
+     * order.
+     */
+    queryPaths(expr) {
+        return queryJSONPath(expr, this.#internal).map((node) => formatNormalizedPath(node.path));
+    }
+
+    // // VALIDATION // //
+
+    /**
+     * Validates the internal buffer against a JSON Schema. Supports `type`,
+     * `enum`, `const`, `properties`, `required`, `additionalProperties`,
+     * `items`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+     * `minLength`, `maxLength`, `minItems`, `maxItems`, `pattern`, and `$ref`
+     * to locations within the schema (such as `#/$defs/address`). Other
+     * keywords are ignored.
+     * 
+     * *Throws an error if the schema itself is malformed.*
+     * 
+     * @param {object | boolean} schema
+     * @returns {array} Every violation found, as
+     * `{ path, keyword, message, schemaPath }`, where `path` is the JSON
+     * Pointer of the offending value, such as `/users/3/email`. Empty if the
+     * buffer is valid.
+     */
+    validate(schema) {
+        return compileSchema(schema)(this.#internal);
+    }
+
+    /**
+     * Attaches a JSON Schema (see `.validate()`) which the internal buffer
+     * must keep satisfying. Changes made through `.push()`, `.replace()`,
+     * `.set()` and `.delete()` which would violate the schema throw an error
+     * listing the violations, and leave the internal buffer unchanged. Only
+     * the records touched by a change are validated again.
+     * 
+     * *Throws an error listing the violations if the internal buffer does not
+     * satisfy the schema already.*
+     * 
+     * @param {object | boolean} schema
+     * @returns {this}
+     */
+    attachSchema(schema) {
+        const validator = compileSchema(schema);
+        const errors = validator(this.#internal);
+        if (errors.length > 0) {
+            throw new ObjockeyError(`The internal buffer violates the schema:\n${formatViolations(errors)}`, { errors });
+        }
+        this.#schema = validator;
+        return this;
+    }
+
+    /**
+     * Removes the schema attached with `.attachSchema()`.
+     * 
+     * @returns {this}
+     */
+    detachSchema() {
+        this.#schema = null;
+        return this;
+    }
+
+    // // DIFFING AND PATCHING // //
+
+    /**
+     * Compares the internal buffer with another document, producing an
+     * RFC 6902 JSON Patch which turns the internal buffer into `other`.
+     * Arrays are compared element by element: equal elements are matched up
+     * (or matched by `key`), so that insertions and removals only produce
+     * operations for the affected elements, and reordered elements produce
+     * `move` operations.
+     * 
+     * @example
+     * const patch = current.diff(next, { key: "id" });
+     * replica.applyPatch(patch);
+     * 
+     * @param {ObjockeyObject | object | array} other Document to compare
+     * with.
+     * @param {object} options `{ key, moves }`
+     * 
+     * `key` - Field name (or key-returning function) identifying array
+     * elements, such as `"id"`. Elements with the same key are diffed against
+     * each other, wherever they are in their arrays.
+     * 
+     * `moves` - Whether to detect moved elements (default). If false, moved
+     * elements are removed and added again.
+     * 
+     * @returns {array} JSON Patch operations, empty if both are equal.
+     */
+    diff(other, options) {
+        const target = other instanceof ObjockeyObject ? other.valueOf() : other;
+        return diffValues(this.#internal, target, options);
+    }
+
+    /**
+     * Applies an RFC 6902 JSON Patch to the internal buffer, supporting the
+     * `add`, `remove`, `replace`, `move`, `copy` and `test` operations. The
+     * patch is atomic: if any operation fails (or a `test` does not match,
+     * or an index or attached schema rejects the result), every operation is
+     * rolled back and an error is thrown. The values of `add` and `replace`
+     * operations are copied into the buffer, rather than referenced.
+     * 
+     * *Throws an error stating the index of the operation which failed, also
+     * available as the `index` property of the error.*
+     * 
+     * @param {array} ops JSON Patch operations.
+     * @returns {this} Or, for an immutable object, the new version (see
+     * `ObjockeyObject.immutable()`).
+     */
+    applyPatch(ops) {
+        const holder = { root: this.#internal };
+        if (this.#immutable) {
+            applyPatchOps(holder, ops, { copyOnWrite: true });
+            if (typeof holder.root !== "object" || holder.root === null) {
+                throw new ObjockeyError("A patch cannot replace the internal buffer with a primitive value.");
+            }
+            return holder.root === this.#internal
+                ? this
+                : this.#derive(holder.root, this.#patchPositions(ops));
+        }
+        const { undo, changes } = applyPatchOps(holder, ops);
+        const rollback = () => {
+            undo();
+            this.#internal = holder.root;
+        };
+        if (typeof holder.root !== "object" || holder.root === null) {
+            rollback();
+            throw new ObjockeyError("A patch cannot replace the internal buffer with a primitive value.");
+        }
+        this.#internal = holder.root;
+        this.#commit(
+            this.#patchPositions(ops),
+            rollback,
+            { op: "patch", ops },
+            () => changes
+        );
+        return this;
+    }
+
+    /**
+     * @param {array} ops Applied JSON Patch operations.
+     * @returns {array | null} The positions of the records a patch touched,
+     * or null if it restructured the internal buffer itself.
+     */
+    #patchPositions(ops) {
+        const positions = new Set();
+        for (const op of ops) {
+            for (const pointer of [op.path, op.from]) {
+                if (pointer === undefined) {
+                    continue;
+                }
+                const segments = parsePath(pointer);
+                if (segments.length === 0 || (this.isArray() && segments.length === 1
+                    && op.op !== "replace" && op.op !== "test")) {
+                    return null;
+                }
+                positions.add(this.#position(segments[0]));
+            }
+        }
+        return [...positions];
+    }
+
+    // // DEDUPLICATION // //
+
+    // Deduplication takes a key, which is either a key-returning function,
+    // a field path of the records, or an array of either for composite
+    // keys. Key functions are called as `keyFn(value, index, buffer)` for
+    // array buffers, and as `keyFn(key, value, buffer)` for object buffers.
+    // Without a key, whole records are compared. Keys are compared by deep
+    // equality, by hashing them in a single pass.
+
+    /**
+     * Returns the records of the internal buffer with only the first record
+     * of every key. The internal buffer is left as it is.
+     * 
+     * @example
+     * feed.distinct(["source", "externalId"]);
+     * 
+     * @param {function | string | array} keyFn Optional key.
+     * @returns {ObjockeyObject} A new object holding the distinct array
+     * elements, or the distinct object properties, in buffer order.
+     */
+    distinct(keyFn) {
+        return this.#spawn(distinctRecords(this.#internal, keyFn));
+    }
+
+    /**
+     * Reports the records of the internal buffer which share a key.
+     * 
+     * @param {function | string | array} keyFn Optional key.
+     * @returns {array} One group per key shared by several records, in order
+     * of first appearance, as `{ key, indexes, items }`: the indexes (or keys)
+     * of the records, and the array elements (or `{ key: value }` pairs of
+     * the object properties) themselves.
+     */
+    duplicates(keyFn) {
+        return findDuplicates(this.#internal, keyFn);
+    }
+
+    /**
+     * Removes the records of the internal buffer which share a key, keeping
+     * one record per key. Counts as a single change.
+     * 
+     * @example
+     * users.dedupe("email", { keep: "last" });
+     * users.dedupe("email", { keep: (records) => Object.assign({}, ...records) });
+     * 
+     * @param {function | string | array} keyFn Optional key.
+     * @param {object} options `{ keep }` - Which record of a key is kept:
+     * `"first"` (default) or `"last"`, in its place. A function
+     * `keep(records, key)` instead returns the record to keep, given every
+     * record sharing `key`, which takes the place of the first of them.
+     * @returns {this} Or, for an immutable object, the new version (see
+     * `ObjockeyObject.immutable()`).
+     */
+    dedupe(keyFn, options) {
+        const result = dedupeRecords(this.#internal, keyFn, options);
+        return result === this.#internal ? this : this.#swap(result, "dedupe");
+    }
+
+    // // CHANGE EVENTS // //
+
+    /**
+     * Registers a listener for `change` events, which are fired after every
+     * successful change made through `.push()`, `.replace()`, `.set()` and
+     * `.delete()`. Changes rejected by an index or an attached schema are not
+     * reported.
+     * 
+     * The listener receives an array of changes: one per mutation (or per
+     * pushed element or property), or every change made during a `.batch()`.
+     * Values are passed by reference rather than copied.
+     * 
+     * @example
+     * obj.on("change", (changes) => audit.log(changes));
+     * obj.on("change", (patch) => socket.send(patch), { format: "patch" });
+     * 
+     * @param {string} event `"change"`.
+     * @param {function} listener `listener(changes)`
+     * @param {object} options `{ format }` - With `"changes"` (default),
+     * changes are `{ operation, path, oldValue, newValue }`, where `operation`
+     * is the name of the mutating method and `path` the JSON Pointer of the
+     * changed value. With `"patch"`, changes are RFC 6902 JSON Patch
+     * operations, which turn the previous buffer into the current one.
+     * @returns {this}
+     */
+    on(event, listener, options) {
+        this.#assertMutable("on");
+        this.#events.on(event, listener, options);
+        return this;
+    }
+
+    /**
+     * Removes a listener registered with `.on()`.
+     * 
+     * @param {string} event `"change"`.
+     * @param {function} listener Listener to remove. If omitted, every
+     * listener of `event` is removed.
+     * @returns {this}
+     */
+    off(event, listener) {
+        this.#events.off(event, listener);
+        return this;
+    }
+
+    /**
+     * Runs `fn`, delivering every change it makes to `change` listeners in a
+     * single notification once it returns (or throws). Batches may be
+     * nested, in which case the outermost batch notifies.
+     * 
+     * @param {function} fn `fn(this)`
+     * @returns The return value of `fn`.
+     */
+    batch(fn) {
+        if (typeof fn !== "function") {
+            throw new ObjockeyError("\"fn\" must be a function.");
+        }
+        return this.#events.batch(() => fn(this));
+    }
+
+    // // TRANSACTIONS AND HISTORY // //
+
+    /**
+     * Runs `fn` as a transaction: either every change it makes through
+     * `.push()`, `.replace()`, `.set()`, `.delete()`, `.merge()` and
+     * `.applyPatch()` is kept, or, if it throws, every one of them is rolled
+     * back before the error is rethrown. Changes are only journaled and
+     * reported to `change` listeners once the transaction succeeded, and
+     * form a single step of the undo history.
+     * 
+     * Transactions may be nested. A nested transaction which throws only
+     * rolls back its own changes.
+     * 
+     * *Throws an error if `fn` returns a promise, as changes made after an
+     * `await` could not be told apart from changes made elsewhere.*
+     * 
+     * @param {function} fn `fn(this)`, which must be synchronous.
+     * @returns The return value of `fn`.
+     */
+    transaction(fn) {
+        this.#assertMutable("transaction");
+        if (typeof fn !== "function") {
+            throw new ObjockeyError("\"fn\" must be a function.");
+        }
+        const outer = this.#group;
+        const group = outer || [];
+        const mark = group.length;
+        this.#group = group;
+        let result;
+        try {
+            result = fn(this);
+            if (result && typeof result.then === "function") {
+                throw new ObjockeyError("Transactions must be synchronous, but \"fn\" returned a promise.");
+            }
+        } catch (err) {
+            this.#group = outer;
+            this.#rollback(group.splice(mark));
+            throw err;
+        }
+        if (!outer) {
+            this.#group = null;
+            this.#finish(group);
+        }
+        return result;
+    }
+
+    /**
+     * Saves a copy of the internal buffer, which `.restore()` can return to.
+     * 
+     * @param {string} name Optional name of the snapshot. Taking a snapshot
+     * with the name of an existing one replaces it.
+     * @returns {string} The name of the snapshot, generated if none was
+     * given.
+     */
+    snapshot(name) {
+        this.#assertMutable("snapshot");
+        const id = name === undefined ? `snapshot-${++this.#snapshotCount}` : String(name);
+        this.#snapshots.set(id, structuredClone(this.#internal));
+        return id;
+    }
+
+    /**
+     * Returns the internal buffer to a snapshot taken with `.snapshot()`. The
+     * snapshot is kept, so it can be restored again. Restoring counts as a
+     * regular change, which can be undone.
+     * 
+     * *Throws an error if no snapshot with the given name exists.*
+     * 
+     * @param {string} id Name of the snapshot.
+     * @returns {this}
+     */
+    restore(id) {
+        this.#assertMutable("restore");
+        if (!this.#snapshots.has(id)) {
+            throw new ObjockeyError(`No snapshot named "${id}" exists.`);
+        }
+        return this.set(structuredClone(this.#snapshots.get(id)));
+    }
+
+    /**
+     * Discards a snapshot taken with `.snapshot()`.
+     * 
+     * @param {string} id Name of the snapshot.
+     * @returns {this}
+     */
+    dropSnapshot(id) {
+        this.#snapshots.delete(id);
+        return this;
+    }
+
+    /**
+     * Starts recording an undo history. Every change made through 
+     * `.push()`, `.replace()`, `.set()`, `.delete()`, `.merge()` and
+     * `.applyPatch()` (or every transaction) becomes one step, which 
+     * `.undo()` reverts and `.redo()` applies again.
+     * 
+     * @param {object} options `{ limit }` - Maximum number of steps kept,
+     * 100 by default. The oldest steps are forgotten first.
+     * @returns {this}
+     */
+    enableHistory(options = {}) {
+        this.#assertMutable("enableHistory");
+        const limit = options.limit === undefined ? 100 : options.limit;
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new ObjockeyError("\"limit\" must be a positive integer.");
+        }
+        this.#history = { limit, undo: [], redo: [] };
+        return this;
+    }
+
+    /**
+     * Stops recording the undo history, and forgets it.
+     * 
+     * @returns {this}
+     */
+    disableHistory() {
+        this.#history = null;
+        return this;
+    }
+
+    /**
+     * @returns {boolean} Whether there is a step `.undo()` can revert.
+     */
+    canUndo() {
+        return Boolean(this.#history) && this.#history.undo.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is a step `.redo()` can apply again.
+     */
+    canRedo() {
+        return Boolean(this.#history) && this.#history.redo.length > 0;
+    }
+
+    /**
+     * Reverts the latest step of the undo history (see `.enableHistory()`).
+     * Any new change made afterwards discards the steps which could be
+     * redone.
+     * 
+     * @returns {boolean} Whether a step was reverted.
+     */
+    undo() {
+        if (!this.canUndo() || this.#group) {
+            return false;
+        }
+        const steps = this.#history.undo.pop();
+        // Journaling and reporting an undo needs to know what it changed.
+        const before = this.#store || this.#events.active ? structuredClone(this.#internal) : null;
+        this.#rollback(steps);
+        this.#history.redo.push(steps);
+        if (before !== null) {
+            const ops = diffValues(before, this.#internal);
+            const { changes } = applyPatchOps({ root: before }, ops);
+            this.#persist([{ op: "patch", ops }]);
+            this.#events.emit(changes.map((change) => ({ ...change, operation: "undo" })));
+        }
+        return true;
+    }
+
+    /**
+     * Applies the latest step reverted by `.undo()` again.
+     * 
+     * @returns {boolean} Whether a step was applied.
+     */
+    redo() {
+        if (!this.canRedo() || this.#group) {
+            return false;
+        }
+        const steps = this.#history.redo.pop();
+        const group = [];
+        this.#group = group;
+        try {
+            for (const step of steps) {
+                this.#replay(structuredClone(step.entry));
+            }
+        } catch (err) {
+            this.#rollback(group);
+            this.#history.redo.push(steps);
+            throw err;
+        } finally {
+            this.#group = null;
+        }
+        this.#finish(group, true);
+        return true;
+    }
+
+    // // IMMUTABILITY // //
+
+    /**
+     * Creates an immutable `ObjockeyObject`, whose internal buffer is deeply
+     * frozen and never changes. Instead, `.push()`, `.replace()`, `.set()`,
+     * `.delete()`, `.merge()` and `.applyPatch()` return a new immutable
+     * `ObjockeyObject` holding the changed buffer. Only the objects and
+     * arrays along a changed path are copied; every other part is shared
+     * with the previous version, so keeping old versions is cheap, and
+     * unchanged parts stay equal by reference.
+     * 
+     * Values handed to an immutable object are frozen in place rather than
+     * copied. A schema attached with `.attachSchema()` carries over to the
+     * new versions, which throw an error rather than being created if they
+     * violate it. Change events, transactions, snapshots, the undo history
+     * and indexes are not supported, as keeping versions replaces them.
+     * 
+     * @example
+     * const v1 = ObjockeyObject.immutable({ users: [], settings: { theme: "dark" } });
+     * const v2 = v1.set("users[0]", { name: "Ada" });
+     * v1.get("users").length; // 0
+     * v1.get("settings") === v2.get("settings"); // true
+     * 
+     * @param {string | object | array} source JSON text, object, or array.
+     * @returns {ObjockeyObject}
+     */
+    static immutable(source) {
+        const object = new this("");
+        object.set(source);
+        deepFreeze(object.#internal);
+        object.#immutable = true;
+        return object;
+    }
+
+    /**
+     * @returns {boolean} Whether the object was created with
+     * `ObjockeyObject.immutable()`, or derived from such an object.
+     */
+    isImmutable() {
+        return this.#immutable;
+    }
+
+    /**
+     * Creates the next version of an immutable object.
+     * 
+     * @param {*} buffer The changed internal buffer.
+     * @param {array | null} positions Positions of the records which changed,
+     * or null if the whole buffer may have changed.
+     * @returns {ObjockeyObject}
+     */
+    #derive(buffer, positions) {
+        if (this.#schema) {
+            const errors = this.#schema(buffer, positions);
+            if (errors.length > 0) {
+                throw new ObjockeyError(`The change violates the attached schema:\n${formatViolations(errors)}`, { errors });
+            }
+        }
+        const next = new this.constructor("");
+        next.#internal = deepFreeze(buffer);
+        next.#immutable = true;
+        next.#schema = this.#schema;
+        next.#print_output_using = this.#print_output_using;
+        next.#print_options = this.#print_options;
+        return next;
+    }
+
+    /**
+     * Creates an object holding a buffer derived from this one, which is
+     * immutable if this object is.
+     * 
+     * @param {array | object} buffer
+     * @returns {ObjockeyObject}
+     */
+    #spawn(buffer) {
+        return this.#immutable ? this.constructor.immutable(buffer) : new this.constructor("").set(buffer);
+    }
+
+    #assertMutable(method) {
+        if (this.#immutable) {
+            throw new ObjockeyError(`.${method}() is not supported by immutable objects.`);
+        }
+    }
+
+    // // INDEXING // //
+
+    /**
+     * Builds an index over the records of the internal buffer (array
+     * elements, or object property values), allowing records to be looked up
+     * by key with `.lookup()`. Hash indexes (the default) answer lookups in
+     * constant time. Ordered indexes keep their keys sorted, additionally 
+     * supporting `.range()` queries and `.first()`/`.last()`, in
+     * logarithmic time. Indexes are kept up to date
+     * when the internal buffer is changed through `.push()`, `.replace()`,
+     * `.set()` and `.delete()`, but not when the buffer returned by
+     * `.valueOf()` is modified directly.
+     * 
+     * *Throws an error if an index with the same name exists, or if a unique
+     * index finds duplicate keys. Mutations which would introduce duplicate
+     * keys into a unique index throw as well, and leave the internal buffer
+     * unchanged.*
+     * 
+     * @param {string} name Name of the index.
+     * @param {function | string} keyFn Either a key-returning function, or a
+     * field path of the records. Records with an undefined key are not
+     * indexed. Arrays and objects returned as keys are compared by content.
+     * 
+     * If the internal buffer is an array,
+     * `keyFn(value, index, internalBuffer)`.
+     * 
+     * If the internal buffer is an object,
+     * `keyFn(key, value, internalBuffer)`.
+     * 
+     * @param {object} options `{ unique, type }` - Set `unique` to true to
+     * reject duplicate keys. Set `type` to `"ordered"` for an ordered index,
+     * or `"hash"` (default) for a hash index.
+     * @returns {this}
+     */
+    createIndex(name, keyFn, options) {
+        this.#assertMutable("createIndex");
+        if (this.#indexes.has(name)) {
+            throw new ObjockeyError(`An index named "${name}" already exists.`);
+        }
+        const index = new ObjockeyIndex(name, keyFn, options);
+        index.build(this.#internal);
+        this.#indexes.set(name, index);
+        return this;
+    }
+
+    /**
+     * Removes an index created with `.createIndex()`.
+     * 
+     * @param {string} name Name of the index.
+     * @returns {this}
+     */
+    dropIndex(name) {
+        this.#indexes.delete(name);
+        return this;
+    }
+
+    /**
+     * Looks up records by key using an index created with `.createIndex()`.
+     * 
+     * @param {string} name Name of the index.
+     * @param {*} key Key to look up.
+     * @returns For a unique index, the index or key of the matching record, or
+     * -1 if there is none (like `.findIndex()`). Otherwise, an array of the
+     * indexes or keys of every matching record, or null if there are none 
+     * (like `.findAllIndexes()`).
+     */
+    lookup(name, key) {
+        const index = this.#index(name);
+        const positions = index.positions(key, this.isArray());
+        if (index.unique) {
+            return positions.length > 0 ? positions[0] : -1;
+        }
+        return positions.length > 0 ? positions : null;
+    }
+
+    /**
+     * Finds records whose keys fall within a range, using an ordered index
+     * created with `.createIndex(name, keyFn, { type: "ordered" })`. Without
+     * any bounds, iterates over every indexed record in key order.
+     * 
+     * @example
+     * obj.range("timestamp", { gte: start, lt: end });
+     * obj.range("timestamp", {}, { order: "desc", limit: 10 });
+     * 
+     * @param {string} name Name of the index.
+     * @param {object} bounds `{ gt, gte, lt, lte }` - Exclusive (`gt`, `lt`)
+     * and inclusive (`gte`, `lte`) bounds, each optional.
+     * @param {object} options `{ order, limit }` - `order` is either `"asc"`
+     * (default) or `"desc"`. `limit` caps the number of results.
+     * @returns {array} Indexes or keys of the matching records, in key order.
+     * Records sharing a key appear in buffer order.
+     */
+    range(name, bounds, options) {
+        return this.#index(name).range(bounds, options, this.isArray());
+    }
+
+    /**
+     * Finds the record with the smallest key in an ordered index.
+     * 
+     * @param {string} name Name of the index.
+     * @returns The index or key of the record, or -1 if the index is empty.
+     */
+    first(name) {
+        const [position] = this.range(name, {}, { limit: 1 });
+        return position === undefined ? -1 : position;
+    }
+
+    /**
+     * Finds the record with the largest key in an ordered index.
+     * 
+     * @param {string} name Name of the index.
+     * @returns The index or key of the record, or -1 if the index is empty.
+     */
+    last(name) {
+        const [position] = this.range(name, {}, { order: "desc", limit: 1 });
+        return position === undefined ? -1 : position;
+    }
+
+    #index(name) {
+        const index = this.#indexes.get(name);
+        if (!index) {
+            throw new ObjockeyError(`No index named "${name}" exists.`);
+        }
+        return index;
+    }
+
+    /**
+     * Whether mutations need to record a rollback, because an index or an
+     * attached schema may reject them, or they may need to be undone.
+     * 
+     * @returns {boolean}
+     */
+    #guarded() {
+        return this.#indexes.size > 0 || this.#schema !== null
+            || this.#group !== null || this.#history !== null;
+    }
+
+    /**
+     * Completes a mutation of the internal buffer: brings every index up to
+     * date, checks the attached schema, journals the change of a file-backed
+     * object, and notifies `change` listeners. If an index or the schema rejects the change,
+     * `rollback` restores the buffer first.
+     * 
+     * @param {array | null} positions Positions of the records which changed,
+     * or null if the whole buffer may have changed.
+     * @param {function} rollback Undoes the mutation. Only needed if
+     * `#guarded()`.
+     * @param {object} entry Journal entry describing the change.
+     * @param {function} describe Returns the change records delivered to
+     * `change` listeners. Only called if there are any.
+     */
+    #commit(positions, rollback, entry, describe) {
+        if (this.#guarded()) {
+            try {
+                for (const index of this.#indexes.values()) {
+                    if (positions === null) {
+                        index.build(this.#internal);
+                    } else {
+                        index.update(this.#internal, positions);
+                    }
+                }
+                if (this.#schema) {
+                    const errors = this.#schema(this.#internal, positions);
+                    if (errors.length > 0) {
+                        throw new ObjockeyError(`The change violates the attached schema:\n${formatViolations(errors)}`, { errors });
+                    }
+                }
+            } catch (err) {
+                rollback();
+                // Rollbacks cannot revert changes a callback made in place,
+                // so the indexes follow the buffer as it is, even when that
+                // leaves a duplicate in a unique index.
+                for (const index of this.#indexes.values()) {
+                    index.build(this.#internal, false);
+                }
+                throw err;
+            }
+        }
+        const step = {
+            // Deferred entries are copied, as later changes may modify the
+            // values they refer to in place.
+            entry: this.#group || this.#history ? structuredClone(entry) : entry,
+            rollback,
+            changes: this.#events.active ? describe() : []
+        };
+        if (this.#group) {
+            this.#group.push(step);
+        } else {
+            this.#finish([step]);
+        }
+    }
+
+    /**
+     * Journals and reports completed changes, and records them as a single
+     * step of the undo history.
+     * 
+     * @param {array} steps Completed changes, as recorded by `#commit()`.
+     * @param {boolean} redoing Whether the changes redo an undone step, in
+     * which case the steps which can be redone are kept.
+     */
+    #finish(steps, redoing = false) {
+        if (steps.length === 0) {
+            return;
+        }
+        this.#persist(steps.map((step) => step.entry));
+        if (this.#history) {
+            const { undo, redo, limit } = this.#history;
+            undo.push(steps);
+            if (undo.length > limit) {
+                undo.shift();
+            }
+            if (!redoing) {
+                redo.length = 0;
+            }
+        }
+        this.#events.emit(steps.flatMap((step) => step.changes));
+    }
+
+    /**
+     * Undoes changes recorded by `#commit()`, latest first.
+     * 
+     * @param {array} steps
+     */
+    #rollback(steps) {
+        for (let i = steps.length - 1; i >= 0; i--) {
+            steps[i].rollback();
+        }
+        for (const index of this.#indexes.values()) {
+            index.build(this.#internal, false);
+        }
+    }
+
+    /**
+     * @param {*} segment First segment of a path.
+     * @returns The position of the record `segment` refers to, as used by
+     * indexes: a number for array buffers, a string for object buffers.
+     */
+    #position(segment) {
+        return this.isArray() ? Number(segment) : String(segment);
+    }
+
+    /**
+     * Records the value a path holds before it is written to or deleted,
+     * returning a function which puts the value back in place. Values are
+     * kept by reference, so a write or delete of `users[3].name` costs the
+     * same however large `users` is.
+     * 
+     * The value is recorded in the last container the path exists in, as a
+     * write may create the containers below it. Restoring it there also
+     * removes any containers the write created.
+     * 
+     * @param {array} segments Path about to be written to or deleted.
+     * @param {boolean} deleting Whether the path is about to be deleted.
+     * @returns {function}
+     */
+    #recordRollback(segments, deleting = false) {
+        const buffer = this.#internal;
+        if (typeof buffer !== "object" || buffer === null) {
+            return () => { this.#internal = buffer; };
+        }
+        let node = buffer;
+        let depth = 0;
+        while (depth < segments.length - 1) {
+            const child = node[segments[depth]];
+            if (typeof child !== "object" || child === null
+                || !Object.prototype.hasOwnProperty.call(node, segments[depth])) {
+                break;
+            }
+            node = child;
+            depth++;
+        }
+        const container = node;
+        const key = segments[depth] === "-" && Array.isArray(container) ? container.length : segments[depth];
+        const existed = Object.prototype.hasOwnProperty.call(container, key);
+        const value = container[key];
+        const length = Array.isArray(container) ? container.length : 0;
+        // Deleting an array element splices it out, rather than emptying it.
+        const spliced = deleting && existed && Array.isArray(container) && depth === segments.length - 1;
+        return () => {
+            this.#internal = buffer;
+            if (spliced) {
+                container.splice(Number(key), 0, value);
+            } else if (existed) {
+                container[key] = value;
+            } else if (Array.isArray(container)) {
+                container.length = length;
+            } else {
+                delete container[key];
+            }
+        };
+    }
+
+    // // ARITHMETIC // // 
+    
+    // Every arithmetic method takes a value-returning callback function,
+    // `callback(value, index, buffer)` for array buffers and
+    // `callback(key, value, buffer)` for object buffers. Results which are not
+    // of type number or bigint, or are NaN, are skipped. Mixed number and bigint results
+    // are supported.
+
+    /**
+     * Calculates the average of all relevant data in the internal buffer using
+     * a value-returning callback function.
+     * 
+     * @param {function} callback 
+     * @returns {number} The average, or NaN if no values were found.
+     */
+    average(callback) {
+        return meanOf(collect(this.#internal, callback));
+    }
+
+    /**
+     * Finds the median data in the internal buffer using a value-returning
+     * callback function.
+     * 
+     * *Breaking change: earlier versions returned an array of the middle
+     * values rather than the median itself.*
+     * 
+     * @param {function} callback 
+     * @returns {number | bigint} The middle value, or the mean of the two
+     * middle values for an even count. NaN if no values were found.
+     */
+    median(callback) {
+        return medianOf(collect(this.#internal, callback));
+    }
+
+    /**
+     * Finds the most frequent data in the internal buffer using a 
+     * value-returning callback function.
+     * 
+     * @param {function} callback 
+     * @returns {array} Every most frequent value, in order of first
+     * appearance. Empty if no values were found.
+     */
+    mode(callback) {
+        return modeOf(collect(this.#internal, callback));
+    }
+
+    /**
+     * Sums all relevant data in the internal buffer using a value-returning
+     * callback function.
+     * 
+     * @param {function} callback 
+     * @returns {number | bigint} The sum, or 0 if no values were found. A
+     * bigint if any value is a bigint and all other values are integers.
+     */
+    sum(callback) {
+        return sumOf(collect(this.#internal, callback));
+    }
+
+    /**
+     * Finds the smallest data in the internal buffer using a value-returning
+     * callback function.
+     * 
+     * @param {function} callback 
+     * @returns {number | bigint} The smallest value, or undefined if no values
+     * were found.
+     */
+    min(callback) {
+        return minOf(collect(this.#internal, callback));
+    }
+
+    /**
+     * Finds the largest data in the internal buffer using a value-returning
+     * callback function.
+     * 
+     * @param {function} callback 
+     * @returns {number | bigint} The largest value, or undefined if no values
+     * were found.
+     */
+    max(callback) {
+        return maxOf(collect(this.#internal, callback));
+    }
+
+    /**
+     * Calculates the variance of all relevant data in the internal buffer
+     * using a value-returning callback function.
+     * 
+     * @param {function} callback 
+     * @param {object} options `{ sample }` - Set `sample` to true for the
+     * sample variance (divided by `n - 1`) instead of the population variance.
+     * @returns {number} The variance, or NaN if too few values were found.
+     */
+    variance(callback, options) {
+        return varianceOf(collect(this.#internal, callback), options);
+    }
+
+    /**
+     * Calculates the standard deviation of all relevant data in the internal
+     * buffer using a value-returning callback function.
+     * 
+     * @param {function} callback 
+     * @param {object} options `{ sample }` - See `.variance()`.
+     * @returns {number} The standard deviation, or NaN if too few values were
+     * found.
+     */
+    stddev(callback, options) {
+        return Math.sqrt(this.variance(callback, options));
+    }
+
+    /**
+     * Finds one or more quantiles of all relevant data in the internal buffer
+     * using a value-returning callback function.
+     * 
+     * @param {function} callback 
+     * @param {number | array} q Quantile between 0 and 1, or an array of them.
+     * @param {object} options `{ interpolation }` - How to pick a value when
+     * a quantile falls between two values: `"linear"` (default), `"lower"`,
+     * `"higher"`, `"nearest"` or `"midpoint"`.
+     * @returns {number | bigint | array} The quantile, or an array of them if
+     * `q` is an array. NaN if no values were found.
+     */
+    quantile(callback, q, options) {
+        const values = collect(this.#internal, callback);
+        return Array.isArray(q)
+            ? q.map((each) => quantileOf(values, each, options))
+            : quantileOf(values, q, options);
+    }
+
+    /**
+     * Finds one or more percentiles of all relevant data in the internal 
+     * buffer using a value-returning callback function. Same as `.quantile()`,
+     * but on a scale of 0 to 100.
+     * 
+     * @param {function} callback 
+     * @param {number | array} p Percentile between 0 and 100, or an array of
+     * them.
+     * @param {object} options `{ interpolation }` - See `.quantile()`.
+     * @returns {number | bigint | array}
+     */
+    percentile(callback, p, options) {
+        const toQuantile = (each) => (typeof each === "number" ? each / 100 : each);
+        return this.quantile(callback, Array.isArray(p) ? p.map(toQuantile) : toQuantile(p), options);
+    }
+
+    /**
+     * Counts all relevant data in the internal buffer into bins using a
+     * value-returning callback function.
+     * 
+     * @param {function} callback 
+     * @param {integer | array} bins Either a number of equal-width bins 
+     * spanning the smallest to the largest value, or an ascending array of
+     * bin edges.
+     * @returns {array} Bins of `{ start, end, count }`. Each bin includes its
+     * start and excludes its end, except the last one, which includes both.
+     * Empty if no values were found and `bins` is a number.
+     */
+    histogram(callback, bins) {
+        return histogramOf(collect(this.#internal, callback), bins);
+    }
+
+
+    // // GROUPING // //
+
+    /**
+     * Buckets the records of the internal buffer (array elements, or object
+     * properties) by one or more keys. Chain with `.aggregate()` to reduce
+     * every group to a single row.
+     * 
+     * @example
+     * import { sum, count } from "@objockey/core";
+     * obj.groupBy(["region", (order) => order.date.slice(0, 4)])
+     *     .aggregate({ total: sum((order) => order.price), n: count() });
+     * 
+     * @param {function | string | array} keys Either a key-returning
+     * function, a field path of the records, or an array of either for
+     * multi-key grouping.
+     * 
+     * If the internal buffer is an array,
+     * `keys(value, index, internalBuffer)`.
+     * 
+     * If the internal buffer is an object,
+     * `keys(key, value, internalBuffer)`.
+     * 
+     * @returns {ObjockeyGroups} Groups in order of first appearance.
+     */
+    groupBy(keys) {
+        return new ObjockeyGroups(this.#internal, keys);
+    }
+
+    // // JOINING // //
+
+    /**
+     * Joins the records of an array buffer with those of another array, like
+     * a SQL join. Records match when their keys are equal; keys which are
+     * null or undefined never match. Every left record is paired with every
+     * right record it matches, so one-to-many and many-to-many matches
+     * produce a row per pair. Rows follow the order of the left records (of
+     * the right records for `"right"` joins), followed by the unmatched
+     * right records of `"full"` joins.
+     * 
+     * Matching uses a hash join, taking time proportional to the size of
+     * both arrays and of the result.
+     * 
+     * @example
+     * // Orders and customers both have an "id", so rows get "id_left" and
+     * // "id_right" rather than one overwriting the other.
+     * orders.join(customers, { leftKey: "customerId", rightKey: "id", type: "left" });
+     * sales.join(targets, { on: ["region", "year"], onCollision: "right" });
+     * 
+     * *Throws an error if either side is not an array, or if a row cannot be
+     * built (see `onCollision` and `select`).*
+     * 
+     * @param {ObjockeyObject | array} other Records to join with.
+     * @param {object} options `{ on, leftKey, rightKey, type, select,
+     * onCollision, suffixes }`
+     * 
+     * `on` - Key of the records on both sides: a field path, a
+     * key-returning function `on(value, index, array)`, or an array of
+     * either for composite keys.
+     * 
+     * `leftKey`, `rightKey` - Keys of the left (this) and right (`other`)
+     * records, in the same form as `on`, when they differ.
+     * 
+     * `type` - `"inner"` (default) keeps matched pairs only. `"left"` also
+     * keeps unmatched left records, `"right"` unmatched right records, and
+     * `"full"` both.
+     * 
+     * `select` - Either a function `select(left, right)` returning the row
+     * of a pair, where the record missing from an unmatched pair is
+     * undefined, or an array of the field paths of merged rows to keep.
+     * 
+     * `onCollision` - How rows are merged when a field holds different
+     * values on both sides: `"suffix"` (default) keeps both by appending
+     * `suffixes` to the field names, `"right"` or `"left"` keeps the value
+     * of that side, dropping the other, and `"error"` throws. A function
+     * `onCollision(field, leftValue, rightValue)` returns the value to keep.
+     * 
+     * `suffixes` - Suffixes used by `"suffix"`, `["_left", "_right"]` by
+     * default.
+     * 
+     * @returns {ObjockeyObject} A new object holding the array of rows.
+     */
+    join(other, options) {
+        const rows = joinRecords(
+            this.#internal,
+            other instanceof ObjockeyObject ? other.valueOf() : other,
+            options
+        );
+        return this.#spawn(rows);
+    }
+
+    // // RESHAPING // //
 
     /**
-     * Locates an index using a callback function. Returns -1 if index is not
-     * found.
+     * Pivots an array of records from long to wide form, like a spreadsheet
+     * pivot table: records are grouped into one row per `rows` key, and the
+     * values of every record go into the column named after its `columns`
+     * value. Rows and columns follow the order of first appearance, except
+     * that columns named like array indexes, such as years, come first, as
+     * they do in every JavaScript object.
      * 
-     * @param {function} callback 
-     *  `callback(key, i | value, buffer)`
+     * @example
+     * // [{ region: "EU", year: 2024, sales: 10 }, { region: "EU", year: 2025, sales: 12 }]
+     * obj.pivot({ rows: "region", columns: "year", values: "sales" });
+     * // [{ "2024": 10, "2025": 12, region: "EU" }]
+     * obj.pivot({ rows: "region", columns: "year", aggregate: sum((r) => r.sales), fill: 0 });
      * 
-     *  `key` - If the internal buffer is an array, this is the value of the 
-     * current position in the array. If the internal buffer is an object, this
-     * is the key of the current object property.
+     * *Throws an error if the internal buffer is not an array, if several
+     * records share a cell and there is no `aggregate`, or if a column has
+     * the name of a row field.*
      * 
-     *  `i | value` - If the internal buffer is an array, this is the current position 
-     * of the loop. If the internal buffer is an object, this is the value of
-     * the current object property. 
+     * @param {object} options `{ rows, columns, values, aggregate, fill }`
      * 
-     *  `buffer` - Internal buffer of the `Objockey` object
+     * `rows` - Key of the rows, in the same form as the keys of
+     * `groupBy()`: a field path, a key-returning function
+     * `rows(value, index, array)`, or an array of either. Row fields are
+     * named as in `groupBy().aggregate()`. Without `rows`, every record goes
+     * into a single row.
      * 
-     * @returns If the internal buffer is an array, returns the first index at 
-     * which the callback function was fulfilled. If the internal
-     * buffer is an object, returns the first key instead. 
+     * `columns` - A field path or a function `columns(value, index, array)`
+     * returning the column of a record. Values are converted to strings to
+     * name the columns.
+     * 
+     * `values` - A field path or a function `values(value, index, array)`
+     * returning the value of a record.
+     * 
+     * `aggregate` - How the values of records sharing a cell are combined:
+     * `"sum"`, `"average"`, `"median"`, `"min"` or `"max"` of the numeric
+     * values, `"count"`, `"first"` or `"last"`, or a function
+     * `aggregate(values, column)`. An aggregation such as `sum()` may be
+     * passed instead, in which case it extracts the values and `values` is
+     * left out.
+     * 
+     * `fill` - Value of the cells no record falls into. Such cells are left
+     * out by default.
+     * 
+     * @returns {ObjockeyObject} A new object holding the array of rows.
      */
-    findIndex(callback) {
-        let i = 0
-        if (Array.isArray(this.#internal)) {
-            for (let val of this.#internal) {
-                if (callback(val, i, this.#internal)) {
-                    return i;
-                }
-                i++;
-            }
-        } else if (typeof this.#internal === "object" && this.#internal !== null) {
-            for (let key in this.#internal) {
-                if (callback(key, this.#internal[key], this.#internal)) {
-                    return key;
-                }
-            }
-        }
-        return -1;
+    pivot(options) {
+        return this.#spawn(pivotRecords(this.#internal, options));
     }
 
     /**
+     * Unpivots an array of records from wide to long form, the reverse of
+     * `pivot()`: every field of every record which is not one of `idFields`
+     * becomes a row of its own, holding the `idFields` of the record, the
+     * name of the field and its value.
      * 
-     * @param {function} callback 
-     *  `callback(key, i | value, buffer)`
+     * @example
+     * // [{ region: "EU", "2024": 10, "2025": 12 }]
+     * obj.unpivot({ idFields: ["region"], varName: "year", valueName: "sales" });
+     * // [{ region: "EU", year: "2024", sales: 10 }, { region: "EU", year: "2025", sales: 12 }]
      * 
-     *  `key` - If the internal buffer is an array, this is the value of the 
-     * current position in the array. If the internal buffer is an object, this
-     * is the key of the current object property.
+     * *Throws an error if the internal buffer is not an array, or if one of
+     * its elements is not an object.*
      * 
-     *  `i | value` - If the internal buffer is an array, this is the current position 
-     * of the loop. If the internal buffer is an object, this is the value of
-     * the current object property. 
+     * @param {object} options `{ idFields, varName, valueName }`
      * 
-     *  `buffer` - Internal buffer of the `Objockey` object
+     * `idFields` - Names of the fields copied into every row of a record.
+     * None by default.
      * 
-     * @returns Array of indexes or keys of the found elements, or null if no 
-     * elements are found.
+     * `varName` - Name of the field holding field names, `"variable"` by
+     * default.
+     * 
+     * `valueName` - Name of the field holding values, `"value"` by default.
+     * 
+     * @returns {ObjockeyObject} A new object holding the array of rows.
      */
-    findAllIndexes(callback) {
-        let indexes = [];
-        let i = 0
-        if (Array.isArray(this.#internal)) {
-            for (let val of this.#internal) {
-                if (callback(val, i, this.#internal)) {
-                    indexes.push(i);
-                }
-                i++;
-            }
-        } else if (typeof this.#internal === "object") {
-            for (let key in this.#internal) {
-                if (callback(key, this.#internal[key], this.#internal)) {
-                    indexes.push(key);
-                }
-            }
-        }
+    unpivot(options) {
+        return this.#spawn(unpivotRecords(this.#internal, options));
+    }
 
-        return indexes.length > 0 ? indexes : null;
+    /**
+     * Transposes the internal buffer. An array of arrays has its rows and
+     * columns swapped. An array of records becomes an object of columns,
+     * holding an array of the values of every field, and an object of
+     * arrays becomes an array of records, so transposing twice gives the
+     * records back.
+     * 
+     * @example
+     * new ObjockeyObject("").set([[1, 2, 3], [4, 5, 6]]).transpose(); // [[1, 4], [2, 5], [3, 6]]
+     * new ObjockeyObject("").set([{ a: 1, b: 2 }, { a: 3 }]).transpose(); // { a: [1, 3], b: [2, null] }
+     * 
+     * *Throws an error if the internal buffer is neither an array whose
+     * elements are all arrays or all objects, nor an object whose values are
+     * all arrays.*
+     * 
+     * @param {object} options `{ fill }`
+     * 
+     * `fill` - Value of the cells missing from shorter arrays or records,
+     * `null` by default.
+     * 
+     * @returns {ObjockeyObject} A new object holding the transposed buffer.
+     */
+    transpose(options) {
+        return this.#spawn(transposeRecords(this.#internal, options));
     }
 
+    // // SORTING // //
+
     /**
-     * Sorts through the internal buffer using an array of boolean-returning
-     * callback functions. Each callback will fill an array full of values, 
-     * which will be added to the return array in the order each callback 
-     * function was called.
+     * Sorts the records of the internal buffer (array elements, or object
+     * properties) by one or more keys. Sorting is stable: records with equal
+     * keys keep their relative order. The internal buffer is left as it is.
      * 
-     * @param {array} callbacks Array of boolean returning sorting functions
+     * Keys of different types are ordered as null, booleans, numbers,
+     * strings, dates, arrays and other objects (see `.createIndex()`).
+     * Strings are compared by code unit, unless `locale` or `numeric` is
+     * given.
      * 
-     *  `callback(key, value | i, buffer)`
+     * @example
+     * people.sortBy(["lastName", { key: "age", order: "desc" }]);
+     * files.sortBy({ key: "name", numeric: true }); // "file2" before "file10"
+     * words.sortBy({ locale: "de", nulls: "first" });
+     * new ObjockeyObject("").set([3, NaN, 1, 2]).sortBy(); // [1, 2, 3, NaN]
      * 
-     *  `key` - If the internal buffer is an array, this is the value of the 
-     * current position in the array. If the internal buffer is an object, this
-     * is the key of the current object property.
+     * @param {*} keys A sort key, or an array of sort keys, where later keys
+     * break ties of earlier ones. If omitted, records are sorted by their
+     * value. A sort key is a field path of the records, a key-returning
+     * function, or `{ key, order, nulls, compare, locale, numeric }`:
      * 
-     *  `value | i` - If the internal buffer is an array, this is the current position 
-     * of the loop. If the internal buffer is an object, this is the value of
-     * the current object property.
+     * `key` - Field path or key-returning function. If omitted, records are
+     * sorted by their value. Functions are called as
+     * `key(value, index, internalBuffer)` for array buffers, and as
+     * `key(key, value, internalBuffer)` for object buffers.
      * 
-     *  `buffer` - Internal buffer of the `Objockey` object.
+     * `order` - `"asc"` (default) or `"desc"`.
      * 
-     * @returns Two dimensional array, with each array either consisting of 
-     * object keys, array indexes, or null if the search term was not satisfied.
+     * `nulls` - Whether null, undefined and NaN keys sort `"first"` or
+     * `"last"` (default), regardless of `order`.
+     * 
+     * `compare` - `compare(a, b)`, comparing two keys which are neither null,
+     * undefined nor NaN, replacing the default comparison.
+     * 
+     * `locale` - BCP 47 language tag (or array of tags) used to collate
+     * strings, such as `"sv"`.
+     * 
+     * `numeric` - Whether strings are sorted naturally, comparing runs of
+     * digits by their numeric value.
+     * 
+     * @returns {ObjockeyObject} A new object holding the sorted array
+     * elements, or the sorted object properties as an array of
+     * `{ key: value }` pairs.
      */
-    findIndexes2D(callbacks) {
-        let indexes = [];
-        if (!(Array.isArray(callbacks))) {
-            throw new ObjockeyError("\"callbacks\" must be an array of functions.");
-        }
-        for (let callback of callbacks) {
-            if (typeof callback !== "function") {
-                throw new ObjockeyError("\"callbacks\" must be an array of functions.");
-            }
-            let set = [];
-            if (this.isArray()) {
-                let i = 0;
-                for (let val of this.#internal) {
-                    if (callback(val, i, this.#internal)) {
-                        set.push(i);
-                    }
-                    i++;
-                }
-                indexes.push(set.length > 0 ? set : null);
-            } else if (typeof this.#internal === "object") {
-                for (let key in this.#internal) {
-                    if (callback(key, this.#internal[key], this.#internal)) {
-                        set.push(key);
-                    }
-                }
-            }
-        }
-        return indexes;
+    sortBy(keys) {
+        return this.#spawn(sortRecords(this.#internal, keys));
     }
 
-    // // ARITHMETIC // // 
-    
     /**
-     * Calculates the average of all relevant data in the internal buffer using
-     * a value-returning callback function.
+     * Selects the `n` records with the largest keys, largest first, without
+     * sorting the whole internal buffer. Equal to `.sortBy()` in descending
+     * order, keeping the first `n` records.
      * 
-     * @param {function} callback 
-     * @returns 
+     * @example
+     * orders.topN(20, "total");
+     * 
+     * @param {integer} n Number of records to select.
+     * @param {*} keys Sort keys, as taken by `.sortBy()`, whose `order`
+     * defaults to `"desc"`.
+     * @returns {ObjockeyObject} A new object holding the selected records,
+     * in the form returned by `.sortBy()`.
      */
-    average(callback) {
-        let calculation = 0;
-        let count = 0;
-        if (this.isArray()) {
-            let i = 0;
-            for (let val of this.#internal) {
-                let addition = callback(val, i, this.#internal);
-                if (typeof addition === "number" || typeof addition === "bigint") {
-                    calculation += addition;
-                    count++;
-                }
-                i++;
-            }
-        } else if (this.isObject()) {
-            for (let key in this.#internal) {
-                let addition = callback(key, this.#internal[key], this.#internal);
-                if (typeof addition === "number" || typeof addition === "bigint") {
-                    calculation += addition;
-                    count++;
-                }
-            }
-        }
+    topN(n, keys) {
+        return this.#spawn(selectRecords(this.#internal, n, keys, "desc"));
+    }
 
-        return average / count;
+    /**
+     * Selects the `n` records with the smallest keys, smallest first, without
+     * sorting the whole internal buffer. Equal to `.sortBy()`, keeping the
+     * first `n` records.
+     * 
+     * @param {integer} n Number of records to select.
+     * @param {*} keys Sort keys, as taken by `.sortBy()`.
+     * @returns {ObjockeyObject} A new object holding the selected records,
+     * in the form returned by `.sortBy()`.
+     */
+    bottomN(n, keys) {
+        return this.#spawn(selectRecords(this.#internal, n, keys, "asc"));
     }
 
+    // // PAGINATION // //
+
     /**
-     * Finds the median data in the internal buffer using a value-returning
-     * callback function.
+     * Returns one page of the records of the internal buffer: array elements
+     * in buffer order, or object properties (as `{ key: value }` pairs) in
+     * key order, unless `sort` orders them otherwise.
      * 
-     * @param {function} callback 
-     * @returns {integer}
+     * With `page` and `pageSize`, pages are numbered from 1. With `after`,
+     * `before` and `limit`, pages are found by cursor: the `startCursor` and
+     * `endCursor` of a page are opaque strings, which `before` and `after`
+     * take to return the page preceding or following it. A cursor refers to
+     * a record by its sort keys and position (index or key) rather than by
+     * an offset, so the page after a cursor stays the same when records are
+     * pushed, unless they sort after the cursor.
+     * 
+     * @example
+     * const first = orders.paginate({ limit: 50, sort: { key: "date", order: "desc" } });
+     * const next = orders.paginate({ after: first.endCursor, limit: 50, sort: { key: "date", order: "desc" } });
+     * orders.paginate({ page: 3, pageSize: 50 });
+     * 
+     * *Throws an error if a cursor is malformed, or was created with a
+     * different number of sort keys.*
+     * 
+     * @param {object} options `{ page, pageSize, after, before, limit, sort }`
+     * 
+     * `page` - Number of the page, 1 by default.
+     * 
+     * `pageSize` - Number of records per page, 20 by default.
+     * 
+     * `after` - Cursor after which the page starts.
+     * 
+     * `before` - Cursor before which the page ends. Without `after`, the page
+     * holds the `limit` records right before it.
+     * 
+     * `limit` - Maximum number of records of a page found by cursor, 20 by
+     * default.
+     * 
+     * `sort` - Sort keys, as taken by `.sortBy()`. Records with equal keys
+     * are ordered by index or key. Cursors must be used with the sort keys
+     * they were created with.
+     * 
+     * @returns {object} With `page`,
+     * `{ items, page, pageSize, total, pages, hasNext, hasPrevious }`.
+     * With cursors,
+     * `{ items, total, startCursor, endCursor, hasNext, hasPrevious }`,
+     * where the cursors are null for an empty page.
      */
-    median(callback) {
-        let matched = [];
+    paginate(options) {
+        return paginateRecords(this.#internal, options);
+    }
 
-        if(this.isArray()) {
-            let i = 0;
-            for(let val of this.#internal) {
-                let num = callback(val, i, this.#internal);
-                if(typeof num === "number" || typeof num === "bigint") {
-                    matched.push(num);
-                }
-                i++;
-            }
-        } if(this.isObject()) {
-            for(let key in this.#internal) {
-                let num = callback(key, this.#internal[key], this.#internal);
-                if(typeof num === "number" || typeof num === "bigint") {
-                    matched.push(num);
-                }
-            }
-        }
-        matched = matched.sort((a, b) => a - b);
-        if(matched.length % 2 === 0) {
-            return [matched[matched.length / 2], matched[(matched.length / 2) + 1]]
-        } else {
-            return [matched[matched.length / 2]]
+    // // EQUALITY AND HASHING // //
+
+    /**
+     * Compares the internal buffer with another document structurally. By
+     * default, objects are equal if they have equal properties in any
+     * order, arrays if they have equal elements in the same order, numbers
+     * and bigints if they have the same value, and dates if they hold the
+     * same time.
+     * 
+     * @example
+     * a.equals(b, { ignoreArrayOrder: true, tolerance: 1e-9 });
+     * 
+     * @param {ObjockeyObject | *} other Document to compare with.
+     * @param {object} options `{ ignoreKeyOrder, ignoreArrayOrder, tolerance }`
+     * 
+     * `ignoreKeyOrder` - Whether objects with the same properties in a
+     * different order are equal (default).
+     * 
+     * `ignoreArrayOrder` - Whether arrays with the same elements in a
+     * different order are equal. False by default.
+     * 
+     * `tolerance` - Largest difference at which numbers are still equal, 0
+     * by default.
+     * 
+     * @returns {boolean}
+     */
+    equals(other, options) {
+        return equalWith(
+            this.#internal,
+            other instanceof ObjockeyObject ? other.valueOf() : other,
+            options
+        );
+    }
+
+    /**
+     * Computes a digest of the internal buffer, serialized canonically (see
+     * `.string()`), so that equal buffers always have the same digest,
+     * whatever the order of their keys. Only available on Node.js, as the
+     * digest is computed with `node:crypto`, which is only loaded when first
+     * needed.
+     * 
+     * *Throws an error if the algorithm is not supported, or the buffer
+     * cannot be serialized canonically.*
+     * 
+     * @example
+     * const key = await obj.hash();
+     * 
+     * @param {string} algorithm Any algorithm supported by
+     * `crypto.createHash()`, `"sha256"` by default.
+     * @returns {Promise<string>} The digest, as a hexadecimal string.
+     */
+    async hash(algorithm = "sha256") {
+        const text = canonicalize(this.#internal);
+        const { createHash, getHashes } = await import("node:crypto");
+        if (!getHashes().includes(algorithm)) {
+            throw new ObjockeyError(`Unsupported hash algorithm "${algorithm}".`);
         }
+        return createHash(algorithm).update(text === undefined ? "" : text).digest("hex");
     }
 
 
@@ -248,13 +2047,24 @@ export class ObjockeyObject {
     /**
      * Filters the internal buffer using a boolean-returning callback function.
      * 
-     * @param {function} callback 
+     * @param {function | object} callback Either a boolean-returning function,
+     * or a MongoDB-style query document matched against array elements or 
+     * object property values, e.g.
+     * `{ age: { $gte: 21 }, $or: [{ admin: true }, { tags: "staff" }] }`.
+     * 
+     * Query documents map dotted field paths to either a value to compare
+     * with, a RegExp, or an object of operators: `$eq`, `$ne`, `$gt`, `$gte`,
+     * `$lt`, `$lte`, `$in`, `$nin`, `$exists`, `$regex` (with `$options`),
+     * `$size`, `$not` and `$elemMatch`. `$and`, `$or`, `$nor` and `$not`
+     * combine whole queries. Documents are compiled once per call, and
+     * unknown operators throw an error.
      * 
      * @returns New set of JSON data, does not modify the current internal buffer.
      * Chain with `.set()` to set the internal buffer to the return value of 
      * `.filter()`.
      */
     filter(callback) {
+        callback = toCallback(callback, this.isArray());
         let filtered = this.isArray() ? [] : {};
         if (this.isArray()) {
             let i = 0;
@@ -278,6 +2088,24 @@ export class ObjockeyObject {
         return filtered;
     }
 
+    /**
+     * Starts a lazy pipeline over the internal buffer. Stages such as 
+     * `.filter()`, `.map()`, `.skip()` and `.take()` are only recorded, and
+     * get fused into a single pass over the buffer when a terminal operation 
+     * (`.toArray()`, `.toObject()`, `.first()`, `.count()`, `.reduce()` or 
+     * `.into()`) is called. Callbacks receive the same arguments as their
+     * `ObjockeyObject` counterparts.
+     * 
+     * @example
+     * obj.chain().filter((user) => user.active).map((user) => user.name)
+     *     .skip(10).take(5).toArray();
+     * 
+     * @returns {ObjockeyChain}
+     */
+    chain() {
+        return new ObjockeyChain((result) => this.#spawn(result), this.#internal);
+    }
+
     // // DATA MANIPULATION // // 
 
     /**
@@ -411,26 +2239,76 @@ export class ObjockeyObject {
      * and write them to the internal buffer. If the internal buffer
      * is an array, it directly pushes the value of `buffer` to the array. 
      * Use `.concat()` to push the contents of the value of `buffer` to the 
-     * internal buffer. 
+     * internal buffer. Objects are merged shallowly, use `.merge()` for a
+     * deep merge. An object which is not an array is spread into an array
+     * buffer as well, turning it into an object keyed by index.
      * 
      * *Throws an error if the internal buffer is an object, but the value of the
      * `buffer` argument is not.*
      * 
      * @param {*} buffer New data to be pushed to the internal buffer
-     * @returns {this}
+     * @returns {this} Or, for an immutable object, the new version (see
+     * `ObjockeyObject.immutable()`).
      */
     push(buffer) {
+        const previous = this.#internal;
+        if (this.#immutable) {
+            if (buffer && typeof buffer === "object" && !(Array.isArray(buffer) && this.isArray())) {
+                // Spreading into an array buffer turns it into an object, so
+                // every record is re-indexed.
+                return this.#derive(
+                    { ...previous, ...buffer },
+                    this.isArray() ? null : Object.keys(buffer)
+                );
+            }
+            if (this.isArray()) {
+                const added = Array.isArray(buffer) ? buffer : [buffer];
+                return this.#derive(
+                    [...previous, ...added],
+                    added.map((val, i) => previous.length + i)
+                );
+            }
+        }
         if (Array.isArray(buffer) && this.isArray()) {
             this.#internal = [...this.#internal, ...buffer];
+            this.#commit(
+                buffer.map((val, i) => previous.length + i),
+                () => { this.#internal = previous; },
+                { op: "push", value: buffer },
+                () => buffer.map((val, i) => describeChange(
+                    "push", this.#internal, resolvePath(previous, [previous.length + i]), val
+                ))
+            );
         } else if ((buffer && typeof buffer === "object")
             && typeof this.#internal === "object") {
+            const wasArray = this.isArray();
             this.#internal = { ...this.#internal, ...buffer }
+            this.#commit(
+                // Spreading into an array buffer turns it into an object, so
+                // every record is re-indexed.
+                wasArray ? null : Object.keys(buffer),
+                () => { this.#internal = previous; },
+                { op: "push", value: buffer },
+                () => (wasArray
+                    ? [describeChange("push", this.#internal, resolvePath(previous, []), this.#internal)]
+                    : Object.keys(buffer).map((key) => describeChange(
+                        "push", this.#internal, resolvePath(previous, [key]), buffer[key]
+                    )))
+            );
         } else if (this.isArray()) {
             try {
                 this.#internal.push(buffer);
             } catch (err) {
                 throw err;
             }
+            this.#commit(
+                [previous.length - 1],
+                () => { previous.pop(); },
+                { op: "push", value: buffer },
+                () => [describeChange(
+                    "push", previous, { segments: [previous.length - 1], depth: 0 }, buffer
+                )]
+            );
         } else {
             if (buffer && (typeof buffer !== typeof this.#internal)) {
                 throw new ObjockeyError(`Cannot push data of type ${typeof buffer}
@@ -441,6 +2319,91 @@ export class ObjockeyObject {
         return this;
     }
 
+    /**
+     * Deeply merges `source` into the internal buffer, following RFC 7396
+     * JSON Merge Patch: objects are merged key by key, and a `null` value
+     * deletes the key it is merged into. Unlike RFC 7396, arrays can be
+     * merged with other strategies than replacing them.
+     * 
+     * The keys `__proto__`, `constructor` and `prototype` are never merged,
+     * so that untrusted input cannot pollute object prototypes.
+     * 
+     * @example
+     * config.merge({ server: { port: 8080 }, legacy: null });
+     * users.merge(update, { paths: { "groups.*.members": { strategy: "mergeByKey", key: "id" } } });
+     * 
+     * @param {object | array} source Object to merge into an object buffer,
+     * or array to merge into an array buffer.
+     * @param {object} options `{ arrays, key, paths, nullDeletes, onConflict }`
+     * 
+     * `arrays` - How arrays found at the same path are merged. Either
+     * `"replace"` (default), `"concat"`, `"union"` (appending elements not
+     * yet present), or `"mergeByKey"` (merging elements sharing the same
+     * `key`, and appending the others).
+     * 
+     * `key` - Field name, or key-returning function, used by `"mergeByKey"`.
+     * 
+     * `paths` - Array strategies for specific paths, overriding `arrays`, as
+     * `{ [path]: strategy }`. A strategy is either a name, or
+     * `{ strategy, key }`. Paths may use `*` to match any key or index.
+     * 
+     * `nullDeletes` - Whether `null` deletes keys (default), or is merged as
+     * a regular value.
+     * 
+     * `onConflict` - `onConflict(path, currentValue, sourceValue)`, called
+     * when a value would be overwritten by a different one that cannot be
+     * merged into it, where `path` is a JSON Pointer. Returns the value to
+     * keep, or undefined to delete it. By default, `source` wins.
+     * 
+     * @returns {this}
+     */
+    merge(source, options) {
+        const compiled = compileMergeOptions(options);
+        const previous = this.#internal;
+        const sameKind = Array.isArray(source)
+            ? this.isArray()
+            : typeof source === "object" && source !== null && this.isObject() && !this.isArray();
+        if (!sameKind) {
+            throw new ObjockeyError(`Cannot merge ${Array.isArray(source) ? "an array" : `a value of type ${source === null ? "null" : typeof source}`} into an internal buffer of type ${this.isArray() ? "array" : typeof previous}.`);
+        }
+        const result = mergeValues(previous, source, compiled);
+        return result === previous ? this : this.#swap(result, "merge");
+    }
+
+    /**
+     * Replaces the internal buffer with `result`, a changed copy of it
+     * sharing its unchanged records, as a single change. Object buffers
+     * change key by key, array buffers as a whole.
+     * 
+     * @param {array | object} result
+     * @param {string} operation Name of the mutating method, as reported to
+     * `change` listeners.
+     * @returns {this} Or, for an immutable object, the new version.
+     */
+    #swap(result, operation) {
+        const previous = this.#internal;
+        const changed = this.isArray()
+            ? null
+            : [...new Set([...Object.keys(previous), ...Object.keys(result)])]
+                .filter((key) => previous[key] !== result[key]);
+        if (this.#immutable) {
+            return this.#derive(result, changed);
+        }
+        this.#internal = result;
+        const changes = changed === null
+            ? [describeChange(operation, result, resolvePath(previous, []), result)]
+            : changed.map((key) => describeChange(operation, result, resolvePath(previous, [key]), result[key]));
+        this.#commit(
+            changed,
+            () => { this.#internal = previous; },
+            this.isArray()
+                ? { op: "set", value: result }
+                : { op: "patch", ops: changes.map((change) => change.patch) },
+            () => changes
+        );
+        return this;
+    }
+
     /**
      * Replaces the value at a specific index of the internal buffer.
      * 
@@ -449,41 +2412,115 @@ export class ObjockeyObject {
      * @param {*} callback Either a new value to replace the indexed value with,
      * or a callback function which takes the current indexed value as an 
      * argument, and returns a value to replace the currently indexed value 
-     * with.
+     * with. Changes it makes to the current value in place are not reverted
+     * by `.undo()`, a failed transaction, or a change an index or attached
+     * schema rejects, so return a new value instead when those are in use.
+     * @returns For an immutable object, the new version (see
+     * `ObjockeyObject.immutable()`).
      */
     replace(key, callback) {
+        if (this.#immutable) {
+            const next = copyPath(this.#internal, [key], 0);
+            next[key] = callback(this.#internal[key]);
+            return this.#derive(next, [this.#position(key)]);
+        }
+        const rollback = this.#guarded() ? this.#recordRollback([key]) : null;
+        const target = this.#events.active ? resolvePath(this.#internal, [key]) : null;
         this.#internal[key] = callback(this.#internal[key]);
+        this.#commit(
+            [this.#position(key)],
+            rollback,
+            { op: "replace", key, value: this.#internal[key] },
+            () => [describeChange("replace", this.#internal, target, this.#internal[key])]
+        );
     }
 
     /**
      * Overwrites the internal buffer with whatever the value of the
      * `buffer` argument is.
      * 
+     * When called with two arguments, `set(path, value)` instead writes
+     * `value` at `path` (see `.get()` for the accepted path formats), creating
+     * any missing intermediate objects, or arrays when the next segment is an
+     * index. The JSON Pointer segment `-` appends to an array.
+     * 
+     * *Throws an error if traversal runs into a primitive value before
+     * reaching the end of the path, or if the path is the root path and
+     * `value` is not an object or array.*
+     * 
      * @param {string | object | array} buffer New value to set the value of the
      * internal buffer to.
-     * @returns 
+     * @returns {this} Or, for an immutable object, the new version (see
+     * `ObjockeyObject.immutable()`).
      */
-    set(buffer) {
-        if (typeof buffer === "string") {
+    set(buffer, value) {
+        const previous = this.#internal;
+        const segments = arguments.length > 1 ? parsePath(buffer) : null;
+        if (segments && segments.length > 0) {
+            if (this.#immutable) {
+                const root = setPath(copyPath(previous, segments, segments.length - 1), segments, value);
+                return this.#derive(root, [segments[0] === "-" && Array.isArray(root)
+                    ? root.length - 1
+                    : this.#position(segments[0])]);
+            }
+            const rollback = this.#guarded()
+                && previous !== undefined ? this.#recordRollback(segments) : null;
+            const target = this.#events.active ? resolvePath(previous, segments) : null;
+            this.#internal = setPath(this.#internal, segments, value);
+            const entry = { op: "set", path: segments, value };
+            const describe = () => [describeChange("set", this.#internal, target, value)];
+            if (rollback) {
+                const position = segments[0] === "-" && this.isArray()
+                    ? this.#internal.length - 1
+                    : this.#position(segments[0]);
+                this.#commit([position], rollback, entry, describe);
+            } else {
+                this.#commit(null, () => { this.#internal = previous; }, entry, describe);
+            }
+            return this;
+        }
+
+        let newInternal;
+        if (segments) {
+            // The root path replaces the internal buffer itself.
+            if (typeof value !== "object" || value === null) {
+                throw new ObjockeyError("\"value\" must be an object or array when setting the root path, as it replaces the internal buffer.");
+            }
+            newInternal = value;
+        } else if (typeof buffer === "string") {
             try {
-                const newInternal = JSON.parse(buffer);
-                this.#internal = newInternal;
+                newInternal = JSON.parse(buffer);
             } catch (err) {
                 throw err;
             }
         } else if ((Array.isArray(buffer) || typeof buffer === "object") && buffer !== null) {
-            this.#internal = buffer;
+            newInternal = buffer;
         } else {
             throw new ObjockeyError("\"buffer\" must be of type string, object, or array.");
         }
+        if (this.#immutable) {
+            return this.#derive(newInternal, null);
+        }
+        this.#internal = newInternal;
+        this.#commit(
+            null,
+            () => { this.#internal = previous; },
+            { op: "set", value: this.#internal },
+            () => [describeChange("set", this.#internal, resolvePath(previous, []), this.#internal)]
+        );
         return this;
     }
 
     /**
+     * @param {object} options `{ canonical }` - With `canonical`, the buffer
+     * is serialized following RFC 8785 (JSON Canonicalization Scheme): 
+     * without whitespace, and with object keys sorted, so that equal buffers
+     * always produce the same string. Throws an error for values RFC 8785
+     * cannot represent, such as bigints and non-finite numbers.
      * @returns {string} The internal buffer as a string.
      */
-    string() {
-        return JSON.stringify(this.#internal);
+    string(options = {}) {
+        return options.canonical ? canonicalize(this.#internal) : JSON.stringify(this.#internal);
     }
 
 
@@ -494,13 +2531,54 @@ export class ObjockeyObject {
      * Prints the internal buffer. Optionally an index or key of the internal
      * buffer.
      * 
+     * Without formatting options (given here or to `.setPrint()`), the value
+     * itself is passed to the printing function. With them, it is formatted
+     * as text first.
+     * 
+     * @example
+     * rows.print({ format: "table", maxItems: 20 });
+     * config.print("server", { format: "tree", color: true });
+     * 
      * @param {integer | string} index Optional paramater specifying index of the
      * value to print.
+     * @param {object} options Optional formatting options,
+     * `{ format, indent, maxDepth, maxItems, maxStringLength, color }`,
+     * overriding those given to `.setPrint()`. May be passed in place of
+     * `index`.
+     * 
+     * `format` - `"pretty"` (default) for indented JSON-like text, `"tree"`
+     * for an ASCII tree, or `"table"` for an ASCII table with a row per
+     * array element (or object property) and a column per key of the
+     * records.
+     * 
+     * `indent` - Number of spaces per level, 2 by default. With 0, `"pretty"`
+     * formats on a single line.
+     * 
+     * `maxDepth` - Number of levels shown. Deeper objects and arrays are
+     * collapsed into markers such as `[... 3 items]`.
+     * 
+     * `maxItems` - Number of elements, properties or table rows shown per
+     * object or array, followed by a marker such as `... 9980 more items`.
+     * 
+     * `maxStringLength` - Number of characters shown per string (or table
+     * cell), followed by a marker stating how many were cut off.
+     * 
+     * `color` - Whether to color the output with ANSI escape codes.
+     * 
+     * @returns {this}
      */
-    print(index) {
-        if (index) {
-            this.#print_output_using(this.#internal[index]);
-        } else this.#print_output_using(this.#internal);
+    print(index, options) {
+        if (typeof index === "object" && index !== null) {
+            options = index;
+            index = undefined;
+        }
+        const value = index ? this.#internal[index] : this.#internal;
+        if (options || this.#print_options) {
+            const format = compileFormat({ ...this.#print_options, ...options });
+            this.#print_output_using(formatValue(value, format));
+        } else {
+            this.#print_output_using(value);
+        }
         return this;
     }
 
@@ -509,10 +2587,28 @@ export class ObjockeyObject {
      * but this can be changed. If no new function is specified, this gets set
      * back to its default value.
      * 
+     * @example
+     * obj.setPrint(console.error, { format: "pretty", maxDepth: 3 });
+     * 
      * @param {function} newFunction New function to use for printing objects.
+     * @param {object} options Formatting options used by `.print()` from now
+     * on, or undefined to print values unformatted. May be passed in place
+     * of `newFunction`, to format with console.log().
+     * 
+     * *Throws an error if the formatting options are invalid.*
+     * 
+     * @returns {this}
      */
-    setPrint(newFunction) {
+    setPrint(newFunction, options) {
+        if (typeof newFunction === "object" && newFunction !== null) {
+            options = newFunction;
+            newFunction = undefined;
+        }
+        if (options) {
+            compileFormat(options);
+        }
         this.#print_output_using = newFunction || console.log;
+        this.#print_options = options ? { ...options } : null;
         return this;
     }
 
@@ -0,0 +1,476 @@
+/**
+ * @objockey/core - indexes
+ *
+ * Secondary indexes over the records of an internal buffer. An index maps the
+ * key of every record (as returned by its key function) to the positions of
+ * the records having it: array indexes for array buffers, object keys for
+ * object buffers. Records whose key is undefined are not indexed.
+ *
+ * Hash indexes answer exact lookups in constant time. Ordered indexes keep
+ * their keys in a skip list, additionally answering range queries and
+ * ordered iteration in logarithmic time.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { parsePath, getPath } from "./path.mjs";
+
+/**
+ * Turns a key into a value usable as a `Map` key. Primitives are used as-is,
+ * arrays and objects (composite keys) are compared by their contents.
+ *
+ * @param {*} key
+ * @returns {*}
+ */
+function normalizeKey(key) {
+    if (typeof key === "object" && key !== null) {
+        return "\u0000" + JSON.stringify(key, (k, v) => (typeof v === "bigint" ? `${v}n` : v));
+    }
+    return key;
+}
+
+/**
+ * Calls `callback(position, args)` for every record of `buffer`, where `args`
+ * are the arguments passed to key functions.
+ *
+ * @param {array | object} buffer
+ * @param {function} callback
+ */
+export function forEachRecord(buffer, callback) {
+    if (Array.isArray(buffer)) {
+        for (let i = 0; i < buffer.length; i++) {
+            callback(i, [buffer[i], i, buffer]);
+        }
+    } else if (typeof buffer === "object" && buffer !== null) {
+        for (let key in buffer) {
+            callback(key, [key, buffer[key], buffer]);
+        }
+    }
+}
+
+function recordArgs(buffer, position) {
+    if (Array.isArray(buffer)) {
+        return position < buffer.length ? [buffer[position], position, buffer] : null;
+    }
+    if (typeof buffer === "object" && buffer !== null
+        && Object.prototype.hasOwnProperty.call(buffer, position)) {
+        return [position, buffer[position], buffer];
+    }
+    return null;
+}
+
+const INDEX_TYPES = ["hash", "ordered"];
+const BOUNDS = ["gt", "gte", "lt", "lte"];
+const MAX_LEVEL = 32;
+
+function rankOf(key) {
+    if (key === null) {
+        return 0;
+    }
+    switch (typeof key) {
+        case "boolean": return 1;
+        // NaN is not ordered against numbers, so it gets a rank of its own
+        // to keep the order consistent.
+        case "number": return Number.isNaN(key) ? 2 : 3;
+        case "bigint": return 3;
+        case "string": return 4;
+    }
+    if (key instanceof Date) {
+        return 5;
+    }
+    return Array.isArray(key) ? 6 : 7;
+}
+
+/**
+ * Orders keys of an ordered index. Keys of different types are ordered as
+ * null, booleans, NaN, numbers (including bigints), strings, dates, arrays
+ * (which are compared element by element) and finally other objects.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {integer}
+ */
+export function compareKeys(a, b) {
+    const rank = rankOf(a) - rankOf(b);
+    if (rank !== 0) {
+        return rank < 0 ? -1 : 1;
+    }
+    if (a instanceof Date) {
+        return compareKeys(a.getTime(), b.getTime());
+    }
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = compareKeys(a[i], b[i]);
+            if (order !== 0) {
+                return order;
+            }
+        }
+        return compareKeys(a.length, b.length);
+    }
+    if (typeof a === "object" && a !== null) {
+        return compareKeys(normalizeKey(a), normalizeKey(b));
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Storage of a hash index: a `Map` of normalized keys to sets of positions.
+ */
+class HashStorage {
+    #entries = new Map();
+
+    add(key, position) {
+        const normalized = normalizeKey(key);
+        let positions = this.#entries.get(normalized);
+        if (!positions) {
+            positions = new Set();
+            this.#entries.set(normalized, positions);
+        }
+        positions.add(position);
+    }
+
+    remove(key, position) {
+        const normalized = normalizeKey(key);
+        const positions = this.#entries.get(normalized);
+        if (positions) {
+            positions.delete(position);
+            if (positions.size === 0) {
+                this.#entries.delete(normalized);
+            }
+        }
+    }
+
+    get(key) {
+        return this.#entries.get(normalizeKey(key));
+    }
+
+    clear() {
+        this.#entries.clear();
+    }
+}
+
+/**
+ * Storage of an ordered index: a skip list of keys, each node holding the
+ * set of positions having its key. The bottom level is doubly linked so that
+ * it can be walked in both directions.
+ */
+class OrderedStorage {
+    #head;
+    #tail;
+    #level;
+
+    constructor() {
+        this.clear();
+    }
+
+    #randomLevel() {
+        let level = 1;
+        while (level < MAX_LEVEL && Math.random() < 0.25) {
+            level++;
+        }
+        return level;
+    }
+
+    // Finds the last node with a key less than `key` on every level.
+    #predecessors(key) {
+        const update = new Array(MAX_LEVEL).fill(this.#head);
+        let node = this.#head;
+        for (let level = this.#level - 1; level >= 0; level--) {
+            while (node.next[level] && compareKeys(node.next[level].key, key) < 0) {
+                node = node.next[level];
+            }
+            update[level] = node;
+        }
+        return update;
+    }
+
+    #find(key) {
+        const node = this.#predecessors(key)[0].next[0];
+        return node && compareKeys(node.key, key) === 0 ? node : null;
+    }
+
+    add(key, position) {
+        const update = this.#predecessors(key);
+        const found = update[0].next[0];
+        if (found && compareKeys(found.key, key) === 0) {
+            found.positions.add(position);
+            return;
+        }
+
+        const level = this.#randomLevel();
+        this.#level = Math.max(this.#level, level);
+        const node = {
+            key,
+            positions: new Set([position]),
+            next: new Array(level).fill(null),
+            prev: update[0] === this.#head ? null : update[0]
+        };
+        for (let i = 0; i < level; i++) {
+            node.next[i] = update[i].next[i];
+            update[i].next[i] = node;
+        }
+        if (node.next[0]) {
+            node.next[0].prev = node;
+        } else {
+            this.#tail = node;
+        }
+    }
+
+    remove(key, position) {
+        const update = this.#predecessors(key);
+        const node = update[0].next[0];
+        if (!node || compareKeys(node.key, key) !== 0) {
+            return;
+        }
+        node.positions.delete(position);
+        if (node.positions.size > 0) {
+            return;
+        }
+
+        for (let i = 0; i < node.next.length; i++) {
+            if (update[i].next[i] === node) {
+                update[i].next[i] = node.next[i];
+            }
+        }
+        if (node.next[0]) {
+            node.next[0].prev = node.prev;
+        } else {
+            this.#tail = node.prev;
+        }
+        while (this.#level > 1 && !this.#head.next[this.#level - 1]) {
+            this.#level--;
+        }
+    }
+
+    get(key) {
+        const node = this.#find(key);
+        return node ? node.positions : undefined;
+    }
+
+    clear() {
+        this.#head = { next: new Array(MAX_LEVEL).fill(null) };
+        this.#tail = null;
+        this.#level = 1;
+    }
+
+    /**
+     * Walks the nodes whose keys fall within `bounds`.
+     *
+     * @param {object} bounds `{ gt, gte, lt, lte }`, each optional.
+     * @param {boolean} descending Whether to walk from the largest key down.
+     */
+    *nodes(bounds, descending) {
+        const { gt, gte, lt, lte } = bounds;
+        const aboveLower = (key) => (gt === undefined || compareKeys(key, gt) > 0)
+            && (gte === undefined || compareKeys(key, gte) >= 0);
+        const belowUpper = (key) => (lt === undefined || compareKeys(key, lt) < 0)
+            && (lte === undefined || compareKeys(key, lte) <= 0);
+
+        if (!descending) {
+            const lower = [gt, gte].filter((bound) => bound !== undefined)
+                .sort(compareKeys).pop();
+            let node = lower === undefined ? this.#head.next[0] : this.#predecessors(lower)[0].next[0];
+            while (node && !aboveLower(node.key)) {
+                node = node.next[0];
+            }
+            for (; node && belowUpper(node.key); node = node.next[0]) {
+                yield node;
+            }
+        } else {
+            const upper = [lt, lte].filter((bound) => bound !== undefined)
+                .sort(compareKeys).shift();
+            let node = this.#tail;
+            if (upper !== undefined) {
+                // Start at the first key not less than the bound, and step
+                // back past it unless it is included.
+                node = this.#predecessors(upper)[0].next[0] || this.#tail;
+            }
+            while (node && !belowUpper(node.key)) {
+                node = node.prev;
+            }
+            for (; node && aboveLower(node.key); node = node.prev) {
+                yield node;
+            }
+        }
+    }
+}
+
+export class ObjockeyIndex {
+    #keyFn;
+    #keysByPosition = new Map();
+    #storage;
+
+    /**
+     * @param {string} name Name of the index.
+     * @param {function | string} keyFn Key-returning function, or a field path
+     * of the records.
+     * @param {object} options `{ unique, type }`, where `type` is either
+     * `"hash"` (default) or `"ordered"`.
+     */
+    constructor(name, keyFn, options = {}) {
+        if (typeof name !== "string" || name === "") {
+            throw new ObjockeyError("\"name\" must be a non-empty string.");
+        }
+        if (typeof keyFn === "string") {
+            const segments = parsePath(keyFn);
+            const field = (record) => (typeof record === "object" && record !== null
+                ? getPath(record, segments)
+                : undefined);
+            // Records are the values of array elements or object properties.
+            this.#keyFn = (args) => field(Array.isArray(args[2]) ? args[0] : args[1]);
+        } else if (typeof keyFn === "function") {
+            this.#keyFn = (args) => keyFn(...args);
+        } else {
+            throw new ObjockeyError("\"keyFn\" must be a function or a field path.");
+        }
+        const type = options.type || "hash";
+        if (!INDEX_TYPES.includes(type)) {
+            throw new ObjockeyError(`Unknown index type "${type}". Use one of ${INDEX_TYPES.join(", ")}.`);
+        }
+        this.name = name;
+        this.type = type;
+        this.unique = Boolean(options.unique);
+        this.#storage = type === "ordered" ? new OrderedStorage() : new HashStorage();
+    }
+
+    #duplicate(key) {
+        return new ObjockeyError(`Duplicate key ${JSON.stringify(String(key))} in unique index "${this.name}".`, {
+            index: this.name,
+            key
+        });
+    }
+
+    /**
+     * Rebuilds the index from scratch. Leaves the index untouched if a
+     * unique index finds duplicate keys, unless `strict` is false.
+     *
+     * @param {array | object} buffer
+     * @param {boolean} strict Whether a unique index throws an error for
+     * duplicate keys. If false, it indexes every record anyway, to stay in
+     * sync with a buffer which already holds duplicates.
+     */
+    build(buffer, strict = true) {
+        const keys = new Map();
+        const seen = this.unique ? new Set() : null;
+        forEachRecord(buffer, (position, args) => {
+            const key = this.#keyFn(args);
+            if (key === undefined) {
+                return;
+            }
+            if (seen && strict) {
+                const normalized = normalizeKey(key);
+                if (seen.has(normalized)) {
+                    throw this.#duplicate(key);
+                }
+                seen.add(normalized);
+            }
+            keys.set(position, key);
+        });
+
+        this.#storage.clear();
+        this.#keysByPosition = keys;
+        for (const [position, key] of keys) {
+            this.#storage.add(key, position);
+        }
+    }
+
+    /**
+     * Re-indexes the records at `positions`, which may have been added,
+     * changed or removed. Leaves the index untouched if a unique index would
+     * end up with duplicate keys.
+     *
+     * @param {array | object} buffer
+     * @param {array} positions
+     */
+    update(buffer, positions) {
+        const changed = new Set(positions);
+        const changes = [];
+        const claimed = this.unique ? new Set() : null;
+        for (const position of changed) {
+            const args = recordArgs(buffer, position);
+            const key = args ? this.#keyFn(args) : undefined;
+            if (claimed && key !== undefined) {
+                const normalized = normalizeKey(key);
+                const holders = this.#storage.get(key);
+                if (claimed.has(normalized)
+                    || (holders && [...holders].some((holder) => !changed.has(holder)))) {
+                    throw this.#duplicate(key);
+                }
+                claimed.add(normalized);
+            }
+            changes.push([position, key]);
+        }
+
+        for (const [position, key] of changes) {
+            if (this.#keysByPosition.has(position)) {
+                this.#storage.remove(this.#keysByPosition.get(position), position);
+                this.#keysByPosition.delete(position);
+            }
+            if (key !== undefined) {
+                this.#storage.add(key, position);
+                this.#keysByPosition.set(position, key);
+            }
+        }
+    }
+
+    /**
+     * @param {*} key
+     * @param {boolean} isArray Whether the indexed buffer is an array, in
+     * which case positions are returned in ascending order.
+     * @returns {array} Positions of every record with `key`.
+     */
+    positions(key, isArray) {
+        const positions = this.#storage.get(key);
+        if (!positions) {
+            return [];
+        }
+        const list = [...positions];
+        return isArray ? list.sort((a, b) => a - b) : list;
+    }
+
+    /**
+     * Walks the keys of an ordered index.
+     *
+     * @param {object} bounds `{ gt, gte, lt, lte }`, each optional.
+     * @param {object} options `{ order, limit }`, where `order` is `"asc"`
+     * (default) or `"desc"`.
+     * @param {boolean} isArray Whether the indexed buffer is an array.
+     * @returns {array} Positions of the matching records in key order.
+     * Records sharing a key are ordered by position.
+     */
+    range(bounds = {}, options = {}, isArray = false) {
+        if (this.type !== "ordered") {
+            throw new ObjockeyError(`Index "${this.name}" is not an ordered index.`);
+        }
+        if (typeof bounds !== "object" || bounds === null) {
+            throw new ObjockeyError("\"bounds\" must be an object of { gt, gte, lt, lte }.");
+        }
+        for (const bound in bounds) {
+            if (!BOUNDS.includes(bound)) {
+                throw new ObjockeyError(`Unknown range bound "${bound}". Use one of ${BOUNDS.join(", ")}.`);
+            }
+        }
+        const order = options.order || "asc";
+        if (order !== "asc" && order !== "desc") {
+            throw new ObjockeyError("\"order\" must be either \"asc\" or \"desc\".");
+        }
+        const limit = options.limit === undefined ? Infinity : options.limit;
+
+        const result = [];
+        for (const node of this.#storage.nodes(bounds, order === "desc")) {
+            let positions = [...node.positions];
+            if (isArray) {
+                positions.sort((a, b) => a - b);
+            }
+            if (order === "desc") {
+                positions.reverse();
+            }
+            for (const position of positions) {
+                if (result.length >= limit) {
+                    return result;
+                }
+                result.push(position);
+            }
+        }
+        return result;
+    }
+}
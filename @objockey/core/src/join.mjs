@@ -0,0 +1,222 @@
+/**
+ * @objockey/core - joins
+ *
+ * Relational joins between arrays of records. Joins are hash joins: one side
+ * is bucketed by key once, after which every record of the other side finds
+ * its matches in constant time, rather than by scanning the whole array.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { deepEqual } from "./equality.mjs";
+import { parsePath, getPath } from "./path.mjs";
+
+const TYPES = new Set(["inner", "left", "right", "full"]);
+const COLLISIONS = new Set(["left", "right", "suffix", "error"]);
+
+function compileKey(spec, option) {
+    const list = Array.isArray(spec) ? spec : [spec];
+    if (list.length === 0) {
+        throw new ObjockeyError(`"${option}" must contain at least one key.`);
+    }
+    return list.map((part) => {
+        if (typeof part === "function") {
+            return part;
+        }
+        if (typeof part === "string") {
+            const segments = parsePath(part);
+            return (record) => (typeof record === "object" && record !== null
+                ? getPath(record, segments)
+                : undefined);
+        }
+        throw new ObjockeyError(`"${option}" must be a field path, a key-returning function, or an array of either.`);
+    });
+}
+
+/**
+ * Serializes the parts of a key, keeping the type of every part, so that `1`
+ * and `"1"` do not match.
+ *
+ * @param {array} parts
+ * @returns {string | null} Null if any part is null or undefined, as such
+ * keys never match, like NULL in SQL.
+ */
+function hashKey(parts) {
+    if (parts.some((part) => part === null || part === undefined)) {
+        return null;
+    }
+    return JSON.stringify(parts.map((part) => [
+        typeof part,
+        typeof part === "bigint" ? String(part) : part
+    ]));
+}
+
+function compileOptions(options) {
+    const type = options.type === undefined ? "inner" : options.type;
+    if (!TYPES.has(type)) {
+        throw new ObjockeyError(`Unknown join type "${type}". Use "inner", "left", "right" or "full".`);
+    }
+    if (options.on !== undefined && (options.leftKey !== undefined || options.rightKey !== undefined)) {
+        throw new ObjockeyError("Use either \"on\", or \"leftKey\" and \"rightKey\", but not both.");
+    }
+    if (options.on === undefined && (options.leftKey === undefined || options.rightKey === undefined)) {
+        throw new ObjockeyError("A join needs \"on\", or both \"leftKey\" and \"rightKey\".");
+    }
+    const leftKey = compileKey(options.on === undefined ? options.leftKey : options.on,
+        options.on === undefined ? "leftKey" : "on");
+    const rightKey = options.on === undefined ? compileKey(options.rightKey, "rightKey") : leftKey;
+    if (leftKey.length !== rightKey.length) {
+        throw new ObjockeyError(`"leftKey" has ${leftKey.length} parts, but "rightKey" has ${rightKey.length}.`);
+    }
+
+    const onCollision = options.onCollision === undefined ? "suffix" : options.onCollision;
+    if (typeof onCollision !== "function" && !COLLISIONS.has(onCollision)) {
+        throw new ObjockeyError(`Unknown collision handling "${onCollision}". Use "left", "right", "suffix", "error" or a function.`);
+    }
+    const suffixes = options.suffixes === undefined ? ["_left", "_right"] : options.suffixes;
+    if (!Array.isArray(suffixes) || suffixes.length !== 2 || suffixes.some((suffix) => typeof suffix !== "string")
+        || suffixes[0] === suffixes[1]) {
+        throw new ObjockeyError("\"suffixes\" must be an array of two different strings.");
+    }
+
+    const select = options.select;
+    if (select !== undefined && typeof select !== "function"
+        && !(Array.isArray(select) && select.every((field) => typeof field === "string"))) {
+        throw new ObjockeyError("\"select\" must be a function or an array of field paths.");
+    }
+    return {
+        type,
+        leftKey,
+        rightKey,
+        onCollision,
+        suffixes,
+        select: Array.isArray(select)
+            ? select.map((field) => ({ field, segments: parsePath(field) }))
+            : select
+    };
+}
+
+function isRecord(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Builds the row of a matched pair of records, either of which may be
+ * missing in outer joins.
+ */
+function combine(left, right, options) {
+    if (typeof options.select === "function") {
+        return options.select(left, right);
+    }
+    if ((left !== undefined && !isRecord(left)) || (right !== undefined && !isRecord(right))) {
+        throw new ObjockeyError("Only objects can be joined into rows. Pass a \"select\" function to join other values.");
+    }
+
+    const row = left === undefined ? {} : { ...left };
+    for (const field of Object.keys(right || {})) {
+        // Skipped so that untrusted records cannot pollute prototypes.
+        if (field === "__proto__") {
+            continue;
+        }
+        if (!Object.prototype.hasOwnProperty.call(row, field) || deepEqual(row[field], right[field])) {
+            row[field] = right[field];
+            continue;
+        }
+        switch (options.onCollision) {
+            case "left":
+                break;
+            case "right":
+                row[field] = right[field];
+                break;
+            case "suffix":
+                row[field + options.suffixes[0]] = row[field];
+                delete row[field];
+                row[field + options.suffixes[1]] = right[field];
+                break;
+            case "error":
+                throw new ObjockeyError(`Field "${field}" holds different values on both sides of the join.`, { field });
+            default:
+                row[field] = options.onCollision(field, row[field], right[field]);
+        }
+    }
+
+    if (!options.select) {
+        return row;
+    }
+    const picked = {};
+    for (const { field, segments } of options.select) {
+        const value = getPath(row, segments);
+        if (value !== undefined) {
+            picked[field] = value;
+        }
+    }
+    return picked;
+}
+
+/**
+ * Joins two arrays of records.
+ *
+ * @param {array} left
+ * @param {array} right
+ * @param {object} options `{ on, leftKey, rightKey, type, select,
+ * onCollision, suffixes }` - see `ObjockeyObject.join()`.
+ * @returns {array} The joined rows.
+ */
+export function joinRecords(left, right, options = {}) {
+    if (!Array.isArray(left) || !Array.isArray(right)) {
+        throw new ObjockeyError("Only arrays can be joined.");
+    }
+    const compiled = compileOptions(options);
+    const { type } = compiled;
+
+    // Right joins probe with the right records, so that rows follow their
+    // order, just as rows of other joins follow the order of the left ones.
+    const swapped = type === "right";
+    const [outer, inner] = swapped ? [right, left] : [left, right];
+    const [outerKey, innerKey] = swapped
+        ? [compiled.rightKey, compiled.leftKey]
+        : [compiled.leftKey, compiled.rightKey];
+    const pair = swapped
+        ? (record, match) => combine(match, record, compiled)
+        : (record, match) => combine(record, match, compiled);
+
+    const buckets = new Map();
+    inner.forEach((record, i) => {
+        const hash = hashKey(innerKey.map((part) => part(record, i, inner)));
+        if (hash === null) {
+            return;
+        }
+        const bucket = buckets.get(hash);
+        if (bucket) {
+            bucket.push(i);
+        } else {
+            buckets.set(hash, [i]);
+        }
+    });
+
+    const rows = [];
+    const matched = type === "full" ? new Uint8Array(inner.length) : null;
+    outer.forEach((record, i) => {
+        const hash = hashKey(outerKey.map((part) => part(record, i, outer)));
+        const bucket = hash === null ? undefined : buckets.get(hash);
+        if (!bucket) {
+            if (type !== "inner") {
+                rows.push(pair(record, undefined));
+            }
+            return;
+        }
+        for (const j of bucket) {
+            if (matched) {
+                matched[j] = 1;
+            }
+            rows.push(pair(record, inner[j]));
+        }
+    });
+    if (matched) {
+        inner.forEach((record, j) => {
+            if (!matched[j]) {
+                rows.push(combine(undefined, record, compiled));
+            }
+        });
+    }
+    return rows;
+}
@@ -0,0 +1,597 @@
+/**
+ * @objockey/core - JSONPath
+ *
+ * A JSONPath (RFC 9535) compiler and evaluator supporting the root and
+ * current node identifiers, child and descendant (`..`) segments, name,
+ * wildcard, index, slice and filter (`?`) selectors, and unions of selectors.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+
+const NOTHING = Symbol("nothing");
+const NAME_START = /[A-Za-z_$\u0080-\uFFFF]/;
+const NAME_CHAR = /[A-Za-z0-9_$\-\u0080-\uFFFF]/;
+const ESCAPES = { b: "\b", f: "\f", n: "\n", r: "\r", t: "\t", "/": "/", "\\": "\\", "'": "'", "\"": "\"" };
+const FUNCTIONS = {
+    length: 1,
+    count: 1,
+    match: 2,
+    search: 2,
+    value: 1
+};
+
+const cache = new Map();
+const CACHE_LIMIT = 256;
+
+class Parser {
+    constructor(expression) {
+        this.expression = expression;
+        this.pos = 0;
+    }
+
+    fail(reason) {
+        return new ObjockeyError(`Invalid JSONPath "${this.expression}" at position ${this.pos}: ${reason}.`, {
+            expression: this.expression,
+            position: this.pos
+        });
+    }
+
+    peek(offset = 0) {
+        return this.expression[this.pos + offset];
+    }
+
+    startsWith(text) {
+        return this.expression.startsWith(text, this.pos);
+    }
+
+    skipBlank() {
+        while (/\s/.test(this.peek() || "")) {
+            this.pos++;
+        }
+    }
+
+    expect(char) {
+        if (this.peek() !== char) {
+            throw this.fail(`expected "${char}"`);
+        }
+        this.pos++;
+    }
+
+    parseQuery() {
+        this.skipBlank();
+        this.expect("$");
+        const segments = this.parseSegments();
+        this.skipBlank();
+        if (this.pos < this.expression.length) {
+            throw this.fail(`unexpected "${this.peek()}"`);
+        }
+        return segments;
+    }
+
+    parseSegments() {
+        const segments = [];
+        for (;;) {
+            const start = this.pos;
+            this.skipBlank();
+            if (this.startsWith("..")) {
+                this.pos += 2;
+                segments.push({ descendant: true, selectors: this.parseSegmentBody(true) });
+            } else if (this.peek() === ".") {
+                this.pos++;
+                segments.push({ descendant: false, selectors: this.parseSegmentBody(false) });
+            } else if (this.peek() === "[") {
+                segments.push({ descendant: false, selectors: this.parseBracket() });
+            } else {
+                this.pos = start;
+                return segments;
+            }
+        }
+    }
+
+    parseSegmentBody(descendant) {
+        if (descendant && this.peek() === "[") {
+            return this.parseBracket();
+        }
+        if (this.peek() === "*") {
+            this.pos++;
+            return [{ type: "wildcard" }];
+        }
+        return [{ type: "name", name: this.parseName() }];
+    }
+
+    parseName() {
+        const start = this.pos;
+        if (!NAME_START.test(this.peek() || "")) {
+            throw this.fail("expected a member name");
+        }
+        while (NAME_CHAR.test(this.peek() || "")) {
+            this.pos++;
+        }
+        return this.expression.slice(start, this.pos);
+    }
+
+    parseBracket() {
+        this.expect("[");
+        const selectors = [];
+        for (;;) {
+            this.skipBlank();
+            selectors.push(this.parseSelector());
+            this.skipBlank();
+            if (this.peek() === ",") {
+                this.pos++;
+            } else {
+                this.expect("]");
+                return selectors;
+            }
+        }
+    }
+
+    parseSelector() {
+        const char = this.peek();
+        if (char === "'" || char === "\"") {
+            return { type: "name", name: this.parseString() };
+        }
+        if (char === "*") {
+            this.pos++;
+            return { type: "wildcard" };
+        }
+        if (char === "?") {
+            this.pos++;
+            this.skipBlank();
+            return { type: "filter", expression: this.parseOr() };
+        }
+
+        const start = this.parseOptionalInteger();
+        this.skipBlank();
+        if (this.peek() !== ":") {
+            if (start === undefined) {
+                throw this.fail("expected a selector");
+            }
+            return { type: "index", index: start };
+        }
+        this.pos++;
+        this.skipBlank();
+        const end = this.parseOptionalInteger();
+        this.skipBlank();
+        let step;
+        if (this.peek() === ":") {
+            this.pos++;
+            this.skipBlank();
+            step = this.parseOptionalInteger();
+        }
+        return { type: "slice", start, end, step };
+    }
+
+    parseOptionalInteger() {
+        const match = /^-?\d+/.exec(this.expression.slice(this.pos));
+        if (!match) {
+            return undefined;
+        }
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    parseString() {
+        const quote = this.peek();
+        this.pos++;
+        let value = "";
+        while (this.peek() !== quote) {
+            if (this.pos >= this.expression.length) {
+                throw this.fail("unterminated string");
+            }
+            if (this.peek() === "\\") {
+                this.pos++;
+                const escape = this.peek();
+                if (escape === "u") {
+                    const hex = this.expression.slice(this.pos + 1, this.pos + 5);
+                    if (!/^[0-9A-Fa-f]{4}$/.test(hex)) {
+                        throw this.fail("invalid unicode escape");
+                    }
+                    value += String.fromCharCode(parseInt(hex, 16));
+                    this.pos += 5;
+                    continue;
+                }
+                if (!(escape in ESCAPES)) {
+                    throw this.fail(`invalid escape "\\${escape}"`);
+                }
+                value += ESCAPES[escape];
+            } else {
+                value += this.peek();
+            }
+            this.pos++;
+        }
+        this.pos++;
+        return value;
+    }
+
+    // FILTER EXPRESSIONS
+
+    parseOr() {
+        let left = this.parseAnd();
+        this.skipBlank();
+        while (this.startsWith("||")) {
+            this.pos += 2;
+            this.skipBlank();
+            left = { type: "or", left, right: this.parseAnd() };
+            this.skipBlank();
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseBasic();
+        this.skipBlank();
+        while (this.startsWith("&&")) {
+            this.pos += 2;
+            this.skipBlank();
+            left = { type: "and", left, right: this.parseBasic() };
+            this.skipBlank();
+        }
+        return left;
+    }
+
+    parseBasic() {
+        if (this.peek() === "!" && this.peek(1) !== "=") {
+            this.pos++;
+            this.skipBlank();
+            return { type: "not", expression: this.parseBasic() };
+        }
+        if (this.peek() === "(") {
+            this.pos++;
+            this.skipBlank();
+            const expression = this.parseOr();
+            this.skipBlank();
+            this.expect(")");
+            return expression;
+        }
+
+        const left = this.parseOperand();
+        this.skipBlank();
+        const operator = /^(==|!=|<=|>=|<|>)/.exec(this.expression.slice(this.pos));
+        if (!operator) {
+            if (left.type === "literal") {
+                throw this.fail("a literal cannot be used as a test");
+            }
+            return { type: "test", operand: left };
+        }
+        this.pos += operator[0].length;
+        this.skipBlank();
+        return { type: "compare", operator: operator[0], left, right: this.parseOperand() };
+    }
+
+    parseOperand() {
+        const char = this.peek();
+        if (char === "@" || char === "$") {
+            this.pos++;
+            return { type: "query", relative: char === "@", segments: this.parseSegments() };
+        }
+        if (char === "'" || char === "\"") {
+            return { type: "literal", value: this.parseString() };
+        }
+        const number = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?/.exec(this.expression.slice(this.pos));
+        if (number) {
+            this.pos += number[0].length;
+            return { type: "literal", value: Number(number[0]) };
+        }
+        for (const [word, value] of [["true", true], ["false", false], ["null", null]]) {
+            if (this.startsWith(word) && !NAME_CHAR.test(this.peek(word.length) || "")) {
+                this.pos += word.length;
+                return { type: "literal", value };
+            }
+        }
+        const name = /^[a-z][a-z0-9_]*/.exec(this.expression.slice(this.pos));
+        if (name && this.peek(name[0].length) === "(") {
+            return this.parseFunction(name[0]);
+        }
+        throw this.fail("expected a query, literal or function");
+    }
+
+    parseFunction(name) {
+        if (!(name in FUNCTIONS)) {
+            throw this.fail(`unknown function "${name}"`);
+        }
+        this.pos += name.length + 1;
+        const args = [];
+        this.skipBlank();
+        while (this.peek() !== ")") {
+            if (args.length > 0) {
+                this.expect(",");
+                this.skipBlank();
+            }
+            args.push(this.parseOperand());
+            this.skipBlank();
+        }
+        this.pos++;
+        if (args.length !== FUNCTIONS[name]) {
+            throw this.fail(`function "${name}" expects ${FUNCTIONS[name]} argument(s)`);
+        }
+        return { type: "function", name, args };
+    }
+}
+
+/**
+ * Compiles a JSONPath expression. Compiled expressions are cached, so
+ * repeated queries with the same expression are only parsed once.
+ *
+ * @param {string} expression
+ * @returns {array} The compiled segments of the query.
+ */
+export function compileJSONPath(expression) {
+    if (typeof expression !== "string") {
+        throw new ObjockeyError("\"expression\" must be a JSONPath string.");
+    }
+    let compiled = cache.get(expression);
+    if (!compiled) {
+        compiled = new Parser(expression).parseQuery();
+        if (cache.size >= CACHE_LIMIT) {
+            cache.clear();
+        }
+        cache.set(expression, compiled);
+    }
+    return compiled;
+}
+
+/**
+ * Runs a JSONPath expression against `root`.
+ *
+ * @param {string} expression
+ * @param {*} root
+ * @returns {array} Matched nodes as `{ path, value }`, where `path` is an
+ * array of segments, in document order.
+ */
+export function queryJSONPath(expression, root) {
+    return evaluateSegments(compileJSONPath(expression), [{ path: [], value: root }], root);
+}
+
+/**
+ * Formats an array of path segments as a normalized JSONPath, such as
+ * `$['orders'][0]['price']`.
+ *
+ * @param {array} segments
+ * @returns {string}
+ */
+export function formatNormalizedPath(segments) {
+    let path = "$";
+    for (const segment of segments) {
+        if (typeof segment === "number") {
+            path += `[${segment}]`;
+        } else {
+            path += `['${escapeName(segment)}']`;
+        }
+    }
+    return path;
+}
+
+function escapeName(name) {
+    return name.replace(/[\\'\u0000-\u001f]/g, (char) => {
+        switch (char) {
+            case "\\": return "\\\\";
+            case "'": return "\\'";
+            case "\b": return "\\b";
+            case "\f": return "\\f";
+            case "\n": return "\\n";
+            case "\r": return "\\r";
+            case "\t": return "\\t";
+            default: return "\\u" + char.charCodeAt(0).toString(16).padStart(4, "0");
+        }
+    });
+}
+
+function evaluateSegments(segments, nodes, root) {
+    for (const segment of segments) {
+        const next = [];
+        for (const node of nodes) {
+            if (segment.descendant) {
+                visitDescendants(node, (descendant) => select(segment.selectors, descendant, root, next));
+            } else {
+                select(segment.selectors, node, root, next);
+            }
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+function visitDescendants(node, visit) {
+    visit(node);
+    for (const child of children(node)) {
+        visitDescendants(child, visit);
+    }
+}
+
+function children(node) {
+    const { value, path } = node;
+    if (Array.isArray(value)) {
+        return value.map((child, i) => ({ path: [...path, i], value: child }));
+    }
+    if (typeof value === "object" && value !== null) {
+        return Object.keys(value).map((key) => ({ path: [...path, key], value: value[key] }));
+    }
+    return [];
+}
+
+function select(selectors, node, root, output) {
+    const { value, path } = node;
+    for (const selector of selectors) {
+        switch (selector.type) {
+            case "name":
+                if (typeof value === "object" && value !== null && !Array.isArray(value)
+                    && Object.prototype.hasOwnProperty.call(value, selector.name)) {
+                    output.push({ path: [...path, selector.name], value: value[selector.name] });
+                }
+                break;
+            case "wildcard":
+                output.push(...children(node));
+                break;
+            case "index":
+                if (Array.isArray(value)) {
+                    const i = selector.index < 0 ? value.length + selector.index : selector.index;
+                    if (i >= 0 && i < value.length) {
+                        output.push({ path: [...path, i], value: value[i] });
+                    }
+                }
+                break;
+            case "slice":
+                if (Array.isArray(value)) {
+                    for (const i of sliceIndexes(value.length, selector)) {
+                        output.push({ path: [...path, i], value: value[i] });
+                    }
+                }
+                break;
+            case "filter":
+                for (const child of children(node)) {
+                    if (evaluateExpression(selector.expression, child.value, root)) {
+                        output.push(child);
+                    }
+                }
+                break;
+        }
+    }
+}
+
+function sliceIndexes(length, { start, end, step = 1 }) {
+    const indexes = [];
+    if (step === 0) {
+        return indexes;
+    }
+    const normalize = (i) => (i >= 0 ? i : length + i);
+    const clamp = (i, low, high) => Math.min(Math.max(i, low), high);
+    if (step > 0) {
+        const upper = clamp(normalize(end ?? length), 0, length);
+        for (let i = clamp(normalize(start ?? 0), 0, length); i < upper; i += step) {
+            indexes.push(i);
+        }
+    } else {
+        const lower = clamp(normalize(end ?? -length - 1), -1, length - 1);
+        for (let i = clamp(normalize(start ?? length - 1), -1, length - 1); i > lower; i += step) {
+            indexes.push(i);
+        }
+    }
+    return indexes;
+}
+
+function evaluateExpression(expression, current, root) {
+    switch (expression.type) {
+        case "or":
+            return evaluateExpression(expression.left, current, root)
+                || evaluateExpression(expression.right, current, root);
+        case "and":
+            return evaluateExpression(expression.left, current, root)
+                && evaluateExpression(expression.right, current, root);
+        case "not":
+            return !evaluateExpression(expression.expression, current, root);
+        case "test":
+            if (expression.operand.type === "query") {
+                return evaluateNodes(expression.operand, current, root).length > 0;
+            }
+            return testResult(evaluateOperand(expression.operand, current, root));
+        case "compare":
+            return compare(
+                expression.operator,
+                evaluateOperand(expression.left, current, root),
+                evaluateOperand(expression.right, current, root)
+            );
+    }
+    return false;
+}
+
+function testResult(result) {
+    return typeof result === "boolean" ? result : result !== NOTHING;
+}
+
+function evaluateNodes(query, current, root) {
+    const start = query.relative ? current : root;
+    return evaluateSegments(query.segments, [{ path: [], value: start }], root);
+}
+
+function evaluateOperand(operand, current, root) {
+    switch (operand.type) {
+        case "literal":
+            return operand.value;
+        case "query": {
+            const nodes = evaluateNodes(operand, current, root);
+            return nodes.length === 1 ? nodes[0].value : NOTHING;
+        }
+        case "function":
+            return callFunction(operand, current, root);
+    }
+    return NOTHING;
+}
+
+function callFunction({ name, args }, current, root) {
+    switch (name) {
+        case "length": {
+            const value = evaluateOperand(args[0], current, root);
+            if (typeof value === "string") {
+                return [...value].length;
+            }
+            if (Array.isArray(value)) {
+                return value.length;
+            }
+            if (typeof value === "object" && value !== null) {
+                return Object.keys(value).length;
+            }
+            return NOTHING;
+        }
+        case "count":
+            return args[0].type === "query" ? evaluateNodes(args[0], current, root).length : NOTHING;
+        case "value": {
+            if (args[0].type !== "query") {
+                return NOTHING;
+            }
+            const nodes = evaluateNodes(args[0], current, root);
+            return nodes.length === 1 ? nodes[0].value : NOTHING;
+        }
+        case "match":
+        case "search": {
+            const value = evaluateOperand(args[0], current, root);
+            const pattern = evaluateOperand(args[1], current, root);
+            if (typeof value !== "string" || typeof pattern !== "string") {
+                return false;
+            }
+            try {
+                const source = name === "match" ? `^(?:${pattern})$` : pattern;
+                return new RegExp(source, "u").test(value);
+            } catch (err) {
+                return false;
+            }
+        }
+    }
+    return NOTHING;
+}
+
+function compare(operator, a, b) {
+    switch (operator) {
+        case "==": return equals(a, b);
+        case "!=": return !equals(a, b);
+        case "<": return lessThan(a, b);
+        case "<=": return lessThan(a, b) || equals(a, b);
+        case ">": return lessThan(b, a);
+        case ">=": return lessThan(b, a) || equals(a, b);
+    }
+    return false;
+}
+
+function lessThan(a, b) {
+    return (typeof a === "number" && typeof b === "number")
+        || (typeof a === "string" && typeof b === "string")
+        ? a < b
+        : false;
+}
+
+function equals(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && equals(a[key], b[key]));
+}
@@ -0,0 +1,190 @@
+/**
+ * @objockey/core - deep merge
+ *
+ * Deep merging compatible with RFC 7396 JSON Merge Patch, with configurable
+ * strategies for merging arrays. Merging never modifies either input: the
+ * result shares every subtree the merge left unchanged.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { deepEqual } from "./equality.mjs";
+import { parsePath, formatPointer } from "./path.mjs";
+
+const STRATEGIES = new Set(["replace", "concat", "union", "mergeByKey"]);
+
+// Keys which could reach `Object.prototype` when merged into a plain object.
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+        && !(value instanceof Date);
+}
+
+function compileStrategy(strategy, where) {
+    const spec = typeof strategy === "string" ? { strategy } : strategy;
+    if (!spec || !STRATEGIES.has(spec.strategy)) {
+        throw new ObjockeyError(`Unknown array strategy ${JSON.stringify(spec && spec.strategy)} (at ${where}). Use "replace", "concat", "union" or "mergeByKey".`);
+    }
+    if (spec.strategy === "mergeByKey" && typeof spec.key !== "string" && typeof spec.key !== "function") {
+        throw new ObjockeyError(`The "mergeByKey" strategy needs a "key" field name or function (at ${where}).`);
+    }
+    return spec;
+}
+
+/**
+ * Validates merge options, returning them in a form `mergeValues()` uses.
+ *
+ * @param {object} options `{ arrays, key, paths, nullDeletes, onConflict }`
+ * - see `ObjockeyObject.merge()`.
+ * @returns {object}
+ */
+export function compileMergeOptions(options = {}) {
+    if (options.onConflict !== undefined && typeof options.onConflict !== "function") {
+        throw new ObjockeyError("\"onConflict\" must be a function.");
+    }
+    const paths = [];
+    for (const path in options.paths || {}) {
+        paths.push({
+            segments: parsePath(path),
+            spec: compileStrategy(options.paths[path], `"${path}"`)
+        });
+    }
+    return {
+        arrays: compileStrategy(
+            options.arrays === "mergeByKey" ? { strategy: "mergeByKey", key: options.key } : options.arrays || "replace",
+            "\"arrays\""
+        ),
+        paths,
+        nullDeletes: options.nullDeletes !== false,
+        onConflict: options.onConflict || null
+    };
+}
+
+function strategyAt(segments, options) {
+    for (const { segments: pattern, spec } of options.paths) {
+        const matches = pattern.length === segments.length
+            && pattern.every((segment, i) => segment === "*" || segment === segments[i]);
+        if (matches) {
+            return spec;
+        }
+    }
+    return options.arrays;
+}
+
+/**
+ * Deeply merges `source` into `target`.
+ *
+ * @param {*} target
+ * @param {*} source
+ * @param {object} options Options returned by `compileMergeOptions()`.
+ * @param {array} segments Path of `target`, for strategies and conflicts.
+ * @returns {*} The merged value, or undefined if it was deleted.
+ */
+export function mergeValues(target, source, options, segments = []) {
+    if (isPlainObject(target) && isPlainObject(source)) {
+        let result = target;
+        for (const key of Object.keys(source)) {
+            if (UNSAFE_KEYS.has(key)) {
+                continue;
+            }
+            const exists = Object.prototype.hasOwnProperty.call(target, key);
+            let value;
+            if (source[key] === null && options.nullDeletes) {
+                value = undefined;
+            } else if (exists) {
+                value = mergeValues(target[key], source[key], options, [...segments, key]);
+            } else if (isPlainObject(source[key])) {
+                // New objects are merged into an empty one, which drops their
+                // nulls and unsafe keys as well.
+                value = mergeValues({}, source[key], options, [...segments, key]);
+            } else {
+                value = source[key];
+            }
+            if (exists ? value === target[key] : value === undefined) {
+                continue;
+            }
+            // Copy on the first change only, sharing unchanged objects.
+            if (result === target) {
+                result = { ...target };
+            }
+            if (value === undefined) {
+                delete result[key];
+            } else {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    if (Array.isArray(target) && Array.isArray(source)) {
+        return mergeArrays(target, source, options, segments);
+    }
+
+    if (isPlainObject(source)) {
+        // Replacing a value which is not an object still drops the nulls
+        // and unsafe keys of the source, as RFC 7396 requires.
+        source = mergeValues({}, source, options, segments);
+    }
+    if (deepEqual(target, source)) {
+        return target;
+    }
+    if (options.onConflict && target !== undefined) {
+        return options.onConflict(formatPointer(segments), target, source);
+    }
+    return source;
+}
+
+function mergeArrays(target, source, options, segments) {
+    const spec = strategyAt(segments, options);
+    switch (spec.strategy) {
+        case "concat":
+            return source.length === 0 ? target : [...target, ...source];
+        case "union": {
+            const result = [...target];
+            for (const element of source) {
+                if (!result.some((existing) => deepEqual(existing, element))) {
+                    result.push(element);
+                }
+            }
+            return result.length === target.length ? target : result;
+        }
+        case "mergeByKey": {
+            const keyOf = typeof spec.key === "function"
+                ? spec.key
+                : (element) => (isPlainObject(element) ? element[spec.key] : undefined);
+            const positions = new Map();
+            target.forEach((element, i) => {
+                const key = keyOf(element);
+                if (key !== undefined && !positions.has(JSON.stringify(key))) {
+                    positions.set(JSON.stringify(key), i);
+                }
+            });
+            let result = target;
+            for (const element of source) {
+                const key = keyOf(element);
+                const i = key === undefined ? undefined : positions.get(JSON.stringify(key));
+                const merged = i === undefined
+                    ? element
+                    : mergeValues(result[i], element, options, [...segments, i]);
+                if (i !== undefined && merged === result[i]) {
+                    continue;
+                }
+                if (result === target) {
+                    result = [...target];
+                }
+                if (i === undefined) {
+                    result.push(element);
+                } else if (merged === undefined) {
+                    // Deleted elements are left as holes until the end, so
+                    // that the positions of the others stay valid.
+                    delete result[i];
+                } else {
+                    result[i] = merged;
+                }
+            }
+            return result === target ? target : result.filter(() => true);
+        }
+        default:
+            return deepEqual(target, source) ? target : source;
+    }
+}
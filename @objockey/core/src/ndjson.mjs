@@ -0,0 +1,156 @@
+/**
+ * @objockey/core - NDJSON
+ *
+ * Reading and writing newline-delimited JSON (NDJSON / JSON Lines), where
+ * every line holds one JSON value.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { chunksOf } from "./stream.mjs";
+
+/**
+ * Collects the records of an NDJSON document line by line.
+ */
+class NDJSONReader {
+    #skipBlank;
+    #errors;
+    #line = 0;
+    records = [];
+
+    /**
+     * @param {object} options `{ skipBlank, errors }` - see
+     * `ObjockeyObject.fromNDJSON()`.
+     */
+    constructor(options = {}) {
+        if (options.errors !== undefined && !Array.isArray(options.errors)) {
+            throw new ObjockeyError("\"errors\" must be an array to collect malformed lines into.");
+        }
+        this.#skipBlank = options.skipBlank !== false;
+        this.#errors = options.errors;
+    }
+
+    line(text) {
+        this.#line++;
+        if (text.endsWith("\r")) {
+            text = text.slice(0, -1);
+        }
+        if (this.#skipBlank && text.trim() === "") {
+            return;
+        }
+        try {
+            this.records.push(JSON.parse(text));
+        } catch (err) {
+            const error = new ObjockeyError(`Malformed NDJSON record on line ${this.#line}: ${err.message}`, {
+                line: this.#line,
+                text
+            });
+            if (!this.#errors) {
+                throw error;
+            }
+            this.#errors.push({ line: this.#line, text, error });
+        }
+    }
+}
+
+/**
+ * Parses an NDJSON string.
+ *
+ * @param {string} text
+ * @param {object} options `{ skipBlank, errors }`
+ * @returns {array} One value per line.
+ */
+export function parseNDJSON(text, options) {
+    const reader = new NDJSONReader(options);
+    const lines = text.split("\n");
+    // A trailing newline terminates the last record rather than starting one.
+    if (lines[lines.length - 1] === "") {
+        lines.pop();
+    }
+    for (const line of lines) {
+        reader.line(line);
+    }
+    return reader.records;
+}
+
+/**
+ * Parses NDJSON read from a stream of chunks.
+ *
+ * @param {AsyncIterable | Iterable} source
+ * @param {object} options `{ skipBlank, errors }`
+ * @returns {Promise<array>} One value per line.
+ */
+export async function parseNDJSONStream(source, options) {
+    const reader = new NDJSONReader(options);
+    const decoder = new TextDecoder();
+    let pending = "";
+    for await (const chunk of chunksOf(source)) {
+        pending += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+        let start = 0;
+        let newline;
+        while ((newline = pending.indexOf("\n", start)) !== -1) {
+            reader.line(pending.slice(start, newline));
+            start = newline + 1;
+        }
+        pending = pending.slice(start);
+    }
+    pending += decoder.decode();
+    if (pending !== "") {
+        reader.line(pending);
+    }
+    return reader.records;
+}
+
+/**
+ * Yields the NDJSON lines of a buffer, each terminated by a newline. Array
+ * elements become one line each, object properties one `{ key: value }` line
+ * each.
+ *
+ * @param {array | object} buffer
+ * @yields {string}
+ */
+export function* ndjsonLines(buffer) {
+    if (Array.isArray(buffer)) {
+        for (let i = 0; i < buffer.length; i++) {
+            yield stringifyLine(buffer[i], i);
+        }
+    } else if (typeof buffer === "object" && buffer !== null) {
+        for (let key in buffer) {
+            yield stringifyLine({ [key]: buffer[key] }, key);
+        }
+    }
+}
+
+/**
+ * Writes the NDJSON lines of a buffer to a writable stream, waiting for the
+ * stream to drain whenever its buffer is full.
+ *
+ * @param {array | object} buffer
+ * @param {Writable} writable
+ * @returns {Promise}
+ */
+export async function writeNDJSON(buffer, writable) {
+    if (!writable || typeof writable.write !== "function") {
+        throw new ObjockeyError("\"writable\" must be a writable stream.");
+    }
+    for (const line of ndjsonLines(buffer)) {
+        if (!writable.write(line)) {
+            await new Promise((resolve, reject) => {
+                const done = (err) => {
+                    writable.off("drain", done);
+                    writable.off("error", done);
+                    err ? reject(err) : resolve();
+                };
+                writable.once("drain", done);
+                writable.once("error", done);
+            });
+        }
+    }
+}
+
+function stringifyLine(value, position) {
+    const line = JSON.stringify(value);
+    if (line === undefined) {
+        throw new ObjockeyError(`Cannot write the value at ${JSON.stringify(position)} as NDJSON.`);
+    }
+    return line + "\n";
+}
@@ -0,0 +1,167 @@
+/**
+ * @objockey/core - pagination
+ *
+ * Offset pagination, and cursor pagination. A cursor holds the sort key
+ * values and the position of the record it points at, rather than an
+ * offset, so that the records following it stay the same when records are
+ * pushed before them in sort order.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { orderByPosition } from "./sort.mjs";
+
+const DEFAULT_SIZE = 20;
+
+function sizeOf(options, option) {
+    const size = options[option] === undefined ? DEFAULT_SIZE : options[option];
+    if (!Number.isInteger(size) || size < 1) {
+        throw new ObjockeyError(`"${option}" must be a positive integer.`);
+    }
+    return size;
+}
+
+// Key values are tagged with their type, so that values JSON cannot hold
+// survive the trip through a cursor.
+function encodeValue(value) {
+    if (value === undefined) {
+        return ["u"];
+    }
+    if (typeof value === "bigint") {
+        return ["b", String(value)];
+    }
+    if (value instanceof Date) {
+        return ["d", value.getTime()];
+    }
+    return ["j", value];
+}
+
+function decodeValue(tagged) {
+    switch (Array.isArray(tagged) && tagged[0]) {
+        case "u": return undefined;
+        case "b": return BigInt(tagged[1]);
+        case "d": return new Date(tagged[1]);
+        case "j": return tagged[1];
+    }
+    throw new Error("Unknown value tag.");
+}
+
+function encodeCursor(entry) {
+    const json = JSON.stringify({ v: entry.values.map(encodeValue), p: entry.position });
+    const binary = String.fromCharCode(...new TextEncoder().encode(json));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeCursor(cursor, option, keyCount, isArray) {
+    try {
+        const binary = atob(cursor.replace(/-/g, "+").replace(/_/g, "/"));
+        const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        const { v, p } = JSON.parse(new TextDecoder("utf-8", { fatal: true }).decode(bytes));
+        if (!Array.isArray(v) || v.length !== keyCount
+            || typeof p !== (isArray ? "number" : "string")) {
+            throw new Error("Unexpected cursor contents.");
+        }
+        return { values: v.map(decodeValue), position: p };
+    } catch (err) {
+        throw new ObjockeyError(`"${option}" is not a valid cursor for this buffer and sort order.`, { cursor });
+    }
+}
+
+/**
+ * Returns the first index of `entries` for which `test` holds, given that it
+ * holds for every entry after it too.
+ */
+function firstWhere(entries, test) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (test(entries[middle])) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Returns a page of the records of a buffer.
+ *
+ * @param {array | object} buffer
+ * @param {object} options `{ page, pageSize, after, before, limit, sort }`
+ * - see `ObjockeyObject.paginate()`.
+ * @returns {object}
+ */
+export function paginateRecords(buffer, options = {}) {
+    if (typeof buffer !== "object" || buffer === null) {
+        throw new ObjockeyError("Only arrays and objects can be paginated.");
+    }
+    const byCursor = ["after", "before", "limit"].some((option) => options[option] !== undefined);
+    if (byCursor && (options.page !== undefined || options.pageSize !== undefined)) {
+        throw new ObjockeyError("Use either \"page\" and \"pageSize\", or \"after\", \"before\" and \"limit\", but not both.");
+    }
+    for (const option of ["after", "before"]) {
+        if (options[option] !== undefined && typeof options[option] !== "string") {
+            throw new ObjockeyError(`"${option}" must be a cursor string.`);
+        }
+    }
+    const isArray = Array.isArray(buffer);
+
+    if (!byCursor) {
+        const page = options.page === undefined ? 1 : options.page;
+        if (!Number.isInteger(page) || page < 1) {
+            throw new ObjockeyError("\"page\" must be a positive integer.");
+        }
+        const pageSize = sizeOf(options, "pageSize");
+        const start = (page - 1) * pageSize;
+        let items;
+        let total;
+        // Array elements in buffer order need no ordering.
+        if (isArray && options.sort === undefined) {
+            items = buffer.slice(start, start + pageSize);
+            total = buffer.length;
+        } else {
+            const { entries } = orderByPosition(buffer, options.sort);
+            items = entries.slice(start, start + pageSize).map((entry) => entry.record);
+            total = entries.length;
+        }
+        const pages = Math.ceil(total / pageSize);
+        return {
+            items,
+            page,
+            pageSize,
+            total,
+            pages,
+            hasNext: page < pages,
+            hasPrevious: page > 1
+        };
+    }
+
+    const limit = sizeOf(options, "limit");
+    const { entries, compare, keyCount } = orderByPosition(buffer, options.sort);
+    let start = 0;
+    let end = entries.length;
+    if (options.after !== undefined) {
+        const after = decodeCursor(options.after, "after", keyCount, isArray);
+        start = firstWhere(entries, (entry) => compare(entry, after) > 0);
+    }
+    if (options.before !== undefined) {
+        const before = decodeCursor(options.before, "before", keyCount, isArray);
+        end = Math.max(start, firstWhere(entries, (entry) => compare(entry, before) >= 0));
+    }
+    // Paging backwards takes the records closest to "before".
+    if (options.before !== undefined && options.after === undefined) {
+        start = Math.max(start, end - limit);
+    } else {
+        end = Math.min(end, start + limit);
+    }
+    const page = entries.slice(start, end);
+    return {
+        items: page.map((entry) => entry.record),
+        total: entries.length,
+        startCursor: page.length > 0 ? encodeCursor(page[0]) : null,
+        endCursor: page.length > 0 ? encodeCursor(page[page.length - 1]) : null,
+        hasNext: end < entries.length,
+        hasPrevious: start > 0
+    };
+}
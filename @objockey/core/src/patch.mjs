@@ -0,0 +1,428 @@
+/**
+ * @objockey/core - JSON Patch
+ *
+ * Structural diffs producing RFC 6902 JSON Patch documents, and atomic
+ * application of such documents.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { deepEqual } from "./equality.mjs";
+import { parsePath, formatPointer } from "./path.mjs";
+import { thaw } from "./immutable.mjs";
+
+// Beyond this many element comparisons, arrays are compared position by
+// position rather than by their longest common subsequence.
+const LCS_LIMIT = 1000000;
+
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+        && !(value instanceof Date);
+}
+
+/**
+ * Computes a JSON Patch turning `a` into `b`.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {object} options `{ key, moves }` - see `ObjockeyObject.diff()`.
+ * @returns {array} JSON Patch operations.
+ */
+export function diffValues(a, b, options = {}) {
+    let keyOf = null;
+    if (typeof options.key === "function") {
+        keyOf = options.key;
+    } else if (typeof options.key === "string") {
+        const field = options.key;
+        keyOf = (element) => (isObject(element) ? element[field] : undefined);
+    } else if (options.key !== undefined) {
+        throw new ObjockeyError("\"key\" must be a field name or a key-returning function.");
+    }
+    const ops = [];
+    diff(a, b, [], ops, { keyOf, moves: options.moves !== false });
+    return ops;
+}
+
+function diff(a, b, segments, ops, options) {
+    if (deepEqual(a, b)) {
+        return;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        diffArrays(a, b, segments, ops, options);
+    } else if (isObject(a) && isObject(b)) {
+        for (const key of Object.keys(a)) {
+            if (!Object.prototype.hasOwnProperty.call(b, key)) {
+                ops.push({ op: "remove", path: formatPointer([...segments, key]) });
+            }
+        }
+        for (const key of Object.keys(b)) {
+            if (Object.prototype.hasOwnProperty.call(a, key)) {
+                diff(a[key], b[key], [...segments, key], ops, options);
+            } else {
+                ops.push({ op: "add", path: formatPointer([...segments, key]), value: b[key] });
+            }
+        }
+    } else {
+        ops.push({ op: "replace", path: formatPointer(segments), value: b });
+    }
+}
+
+/**
+ * Pairs up the elements of two arrays, returning for every element of `b`
+ * the index of the element of `a` it corresponds to, or -1 if it is new.
+ */
+function matchElements(a, b, options) {
+    const matches = new Array(b.length).fill(-1);
+    const used = new Array(a.length).fill(false);
+    const pair = (i, j) => {
+        matches[j] = i;
+        used[i] = true;
+    };
+
+    if (options.keyOf) {
+        const byKey = new Map();
+        a.forEach((element, i) => {
+            const key = options.keyOf(element);
+            if (key !== undefined) {
+                const hash = JSON.stringify(key);
+                byKey.has(hash) ? byKey.get(hash).push(i) : byKey.set(hash, [i]);
+            }
+        });
+        b.forEach((element, j) => {
+            const key = options.keyOf(element);
+            const candidates = key === undefined ? null : byKey.get(JSON.stringify(key));
+            if (candidates && candidates.length > 0) {
+                pair(candidates.shift(), j);
+            }
+        });
+    } else {
+        // Equal leading and trailing elements, then the longest common
+        // subsequence of whatever is left in between.
+        let start = 0;
+        while (start < a.length && start < b.length && deepEqual(a[start], b[start])) {
+            pair(start, start);
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && deepEqual(a[endA - 1], b[endB - 1])) {
+            pair(--endA, --endB);
+        }
+        const n = endA - start;
+        const m = endB - start;
+        if (n > 0 && m > 0 && n * m <= LCS_LIMIT) {
+            const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lengths[i][j] = deepEqual(a[start + i], b[start + j])
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (deepEqual(a[start + i], b[start + j])) {
+                    pair(start + i++, start + j++);
+                } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                    i++;
+                } else {
+                    j++;
+                }
+            }
+        }
+    }
+
+    if (options.moves) {
+        // Unmatched elements equal to an unmatched element elsewhere moved.
+        for (let j = 0; j < b.length; j++) {
+            if (matches[j] !== -1) {
+                continue;
+            }
+            const i = a.findIndex((element, i) => !used[i] && deepEqual(element, b[j]));
+            if (i !== -1) {
+                pair(i, j);
+            }
+        }
+    }
+
+    // Whatever is left over between two matched elements was most likely
+    // modified in place. Elements with differing keys never correspond.
+    const next = new Array(b.length);
+    for (let j = b.length - 1, upcoming = a.length; j >= 0; j--) {
+        next[j] = upcoming;
+        if (matches[j] !== -1) {
+            upcoming = matches[j];
+        }
+    }
+    const unkeyed = (element) => !options.keyOf || options.keyOf(element) === undefined;
+    let i = 0;
+    for (let j = 0; j < b.length; j++) {
+        if (matches[j] !== -1) {
+            i = Math.max(i, matches[j] + 1);
+            continue;
+        }
+        while (i < a.length && used[i]) {
+            i++;
+        }
+        if (i < next[j] && i < a.length && unkeyed(a[i]) && unkeyed(b[j])) {
+            pair(i++, j);
+        }
+    }
+    return matches;
+}
+
+function diffArrays(a, b, segments, ops, options) {
+    const matches = matchElements(a, b, options);
+    const kept = new Set(matches);
+
+    // Work on a list of the original indexes, mirroring every operation.
+    const current = a.map((element, i) => i);
+    for (let i = a.length - 1; i >= 0; i--) {
+        if (!kept.has(i)) {
+            ops.push({ op: "remove", path: formatPointer([...segments, i]) });
+            current.splice(i, 1);
+        }
+    }
+    for (let j = 0; j < b.length; j++) {
+        const i = matches[j];
+        if (i === -1) {
+            ops.push({ op: "add", path: formatPointer([...segments, j]), value: b[j] });
+            current.splice(j, 0, -1);
+            continue;
+        }
+        const position = current.indexOf(i, j);
+        if (position !== j) {
+            ops.push({
+                op: "move",
+                from: formatPointer([...segments, position]),
+                path: formatPointer([...segments, j])
+            });
+            current.splice(position, 1);
+            current.splice(j, 0, i);
+        }
+        // Later operations only touch later positions, so the element stays
+        // at `j`.
+        diff(a[i], b[j], [...segments, j], ops, options);
+    }
+}
+
+function fail(index, op, reason) {
+    const where = op && typeof op === "object" ? ` (${op.op} "${op.path}")` : "";
+    return new ObjockeyError(`Patch operation ${index}${where} failed: ${reason}`, {
+        index,
+        operation: op
+    });
+}
+
+function pointerOf(index, op, field) {
+    const pointer = op[field];
+    if (typeof pointer !== "string" || (pointer !== "" && pointer[0] !== "/")) {
+        throw fail(index, op, `"${field}" must be a JSON Pointer.`);
+    }
+    return parsePath(pointer);
+}
+
+/**
+ * Applies a JSON Patch to the value held by `holder.root`, in place.
+ * Operations are applied in order; if one of them fails, every operation
+ * applied before it is undone and an error is thrown.
+ *
+ * @param {object} holder `{ root }`
+ * @param {array} ops JSON Patch operations.
+ * @param {object} options `{ copyOnWrite }` - With `copyOnWrite`, frozen
+ * objects and arrays along a written path are replaced by copies rather than
+ * modified, so `holder.root` ends up as a new value sharing everything the
+ * patch left untouched. `undo()` does not revert those copies.
+ * @returns {object} `{ undo, changes }`, where `undo()` reverts the whole
+ * patch, and `changes` describes every applied operation as
+ * `{ operation, path, oldValue, newValue, patch }`.
+ */
+export function applyPatchOps(holder, ops, options = {}) {
+    if (!Array.isArray(ops)) {
+        throw new ObjockeyError("A patch must be an array of operations.");
+    }
+    const undos = [];
+    const changes = [];
+    const undo = () => {
+        while (undos.length > 0) {
+            undos.pop()();
+        }
+    };
+
+    const parentOf = (index, op, segments) => {
+        let node = holder.root;
+        for (let i = 0; i < segments.length - 1; i++) {
+            const segment = segments[i];
+            if (typeof node !== "object" || node === null
+                || !Object.prototype.hasOwnProperty.call(node, segment)
+                || (Array.isArray(node) && typeof segment !== "number")) {
+                throw fail(index, op, `"${formatPointer(segments.slice(0, i + 1))}" does not exist.`);
+            }
+            node = node[segment];
+        }
+        if (typeof node !== "object" || node === null) {
+            throw fail(index, op, `"${formatPointer(segments.slice(0, -1))}" is not an object or array.`);
+        }
+        return node;
+    };
+
+    const writableParentOf = (index, op, segments) => {
+        const parent = parentOf(index, op, segments);
+        if (!options.copyOnWrite || !Object.isFrozen(parent)) {
+            return parent;
+        }
+        holder.root = thaw(holder.root);
+        let node = holder.root;
+        for (let i = 0; i < segments.length - 1; i++) {
+            node[segments[i]] = thaw(node[segments[i]]);
+            node = node[segments[i]];
+        }
+        return node;
+    };
+
+    const read = (index, op, segments) => {
+        if (segments.length === 0) {
+            return holder.root;
+        }
+        const parent = parentOf(index, op, segments);
+        const key = segments[segments.length - 1];
+        const exists = Array.isArray(parent)
+            ? typeof key === "number" && key < parent.length
+            : Object.prototype.hasOwnProperty.call(parent, key);
+        if (!exists) {
+            throw fail(index, op, `"${formatPointer(segments)}" does not exist.`);
+        }
+        return parent[key];
+    };
+
+    const add = (index, op, segments, value) => {
+        if (segments.length === 0) {
+            const previous = holder.root;
+            holder.root = value;
+            undos.push(() => { holder.root = previous; });
+            return previous;
+        }
+        const parent = writableParentOf(index, op, segments);
+        const key = segments[segments.length - 1];
+        if (Array.isArray(parent)) {
+            const position = key === "-" ? parent.length : key;
+            if (typeof position !== "number" || position > parent.length) {
+                throw fail(index, op, `"${key}" is not a valid index of an array of length ${parent.length}.`);
+            }
+            parent.splice(position, 0, value);
+            undos.push(() => { parent.splice(position, 1); });
+            return undefined;
+        }
+        if (key === "__proto__") {
+            throw fail(index, op, "Refusing to write \"__proto__\".");
+        }
+        const existed = Object.prototype.hasOwnProperty.call(parent, key);
+        const previous = parent[key];
+        parent[key] = value;
+        undos.push(() => {
+            if (existed) {
+                parent[key] = previous;
+            } else {
+                delete parent[key];
+            }
+        });
+        return previous;
+    };
+
+    const remove = (index, op, segments) => {
+        if (segments.length === 0) {
+            throw fail(index, op, "Cannot remove the root.");
+        }
+        const previous = read(index, op, segments);
+        const parent = writableParentOf(index, op, segments);
+        const key = segments[segments.length - 1];
+        if (Array.isArray(parent)) {
+            parent.splice(key, 1);
+            undos.push(() => { parent.splice(key, 0, previous); });
+        } else {
+            delete parent[key];
+            undos.push(() => { parent[key] = previous; });
+        }
+        return previous;
+    };
+
+    const replace = (index, op, segments, value) => {
+        const previous = read(index, op, segments);
+        if (segments.length === 0) {
+            return add(index, op, segments, value);
+        }
+        const parent = writableParentOf(index, op, segments);
+        const key = segments[segments.length - 1];
+        parent[key] = value;
+        undos.push(() => { parent[key] = previous; });
+        return previous;
+    };
+
+    try {
+        ops.forEach((op, index) => {
+            if (typeof op !== "object" || op === null) {
+                throw fail(index, op, "Operations must be objects.");
+            }
+            const segments = pointerOf(index, op, "path");
+            const requireValue = () => {
+                if (!("value" in op)) {
+                    throw fail(index, op, "\"value\" is missing.");
+                }
+            };
+            let oldValue;
+            let newValue;
+            switch (op.op) {
+                // Values are copied, like those of "copy", so that the patch
+                // (or whatever else holds them) cannot change the document
+                // afterwards.
+                case "add":
+                    requireValue();
+                    newValue = structuredClone(op.value);
+                    oldValue = add(index, op, segments, newValue);
+                    break;
+                case "remove":
+                    oldValue = remove(index, op, segments);
+                    break;
+                case "replace":
+                    requireValue();
+                    newValue = structuredClone(op.value);
+                    oldValue = replace(index, op, segments, newValue);
+                    break;
+                case "move":
+                case "copy": {
+                    const from = pointerOf(index, op, "from");
+                    const value = read(index, op, from);
+                    if (op.op === "move") {
+                        if (from.length < segments.length
+                            && from.every((segment, i) => segment === segments[i])) {
+                            throw fail(index, op, "Cannot move a value into one of its own children.");
+                        }
+                        if (from.length === segments.length
+                            && from.every((segment, i) => segment === segments[i])) {
+                            break;
+                        }
+                        remove(index, op, from);
+                        oldValue = add(index, op, segments, value);
+                        newValue = value;
+                    } else {
+                        newValue = structuredClone(value);
+                        oldValue = add(index, op, segments, newValue);
+                    }
+                    break;
+                }
+                case "test":
+                    if (!deepEqual(read(index, op, segments), op.value)) {
+                        throw fail(index, op, "The value does not match.");
+                    }
+                    return;
+                default:
+                    throw fail(index, op, `Unknown operation "${op.op}".`);
+            }
+            changes.push({ operation: "applyPatch", path: op.path, oldValue, newValue, patch: op });
+        });
+    } catch (err) {
+        undo();
+        throw err;
+    }
+    return { undo, changes };
+}
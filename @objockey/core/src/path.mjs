@@ -0,0 +1,348 @@
+/**
+ * @objockey/core - paths
+ *
+ * Parsing and traversal of dotted/bracket paths (`users[3].address.city`) and
+ * RFC 6901 JSON Pointers (`/users/3/address/city`).
+ */
+
+import { ObjockeyError } from "./error.mjs";
+
+const INDEX = /^(0|[1-9]\d*)$/;
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const ESCAPES = { b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+/**
+ * Converts a path into an array of segments. Numeric segments are returned as
+ * numbers, every other segment as a string.
+ *
+ * @param {string | number | array} path A dotted/bracket path, a JSON Pointer
+ * (any string starting with `/`, or the empty string for the root), a
+ * normalized JSONPath (`$['users'][3]`), a single
+ * array index, or an array of segments.
+ * @returns {array} The path segments.
+ */
+export function parsePath(path) {
+    if (Array.isArray(path)) {
+        return [...path];
+    }
+    if (typeof path === "number") {
+        return [path];
+    }
+    if (typeof path !== "string") {
+        throw new ObjockeyError("\"path\" must be a string, number, or array of path segments.");
+    }
+    if (path === "") {
+        return [];
+    }
+    if (path[0] === "/") {
+        return parsePointer(path);
+    }
+    if (path[0] === "$" && (path.length === 1 || path[1] === "." || path[1] === "[")) {
+        // Normalized paths, as returned by `.queryPaths()`.
+        path = path.slice(path[1] === "." ? 2 : 1);
+        if (path === "") {
+            return [];
+        }
+    }
+    return parseDotted(path);
+}
+
+function parsePointer(pointer) {
+    return pointer.slice(1).split("/").map((token) => {
+        const segment = token.replace(/~1/g, "/").replace(/~0/g, "~");
+        return INDEX.test(segment) ? Number(segment) : segment;
+    });
+}
+
+function parseDotted(path) {
+    const segments = [];
+    let i = 0;
+    while (i < path.length) {
+        if (path[i] === "[") {
+            const [segment, end] = readBracket(path, i);
+            segments.push(segment);
+            i = end;
+        } else {
+            let end = i;
+            while (end < path.length && path[end] !== "." && path[end] !== "[") {
+                end++;
+            }
+            const name = path.slice(i, end);
+            if (name === "") {
+                throw invalidPath(path, i);
+            }
+            segments.push(INDEX.test(name) ? Number(name) : name);
+            i = end;
+        }
+
+        if (path[i] === ".") {
+            i++;
+            if (i === path.length) {
+                throw invalidPath(path, i);
+            }
+        } else if (i < path.length && path[i] !== "[") {
+            throw invalidPath(path, i);
+        }
+    }
+    return segments;
+}
+
+function readBracket(path, start) {
+    let i = start + 1;
+    const quote = path[i];
+    if (quote === "\"" || quote === "'") {
+        let value = "";
+        i++;
+        while (i < path.length && path[i] !== quote) {
+            if (path[i] === "\\" && i + 1 < path.length) {
+                i++;
+                if (path[i] === "u" && /^[0-9A-Fa-f]{4}$/.test(path.slice(i + 1, i + 5))) {
+                    value += String.fromCharCode(parseInt(path.slice(i + 1, i + 5), 16));
+                    i += 5;
+                    continue;
+                }
+                value += ESCAPES[path[i]] || path[i];
+            } else {
+                value += path[i];
+            }
+            i++;
+        }
+        if (path[i] !== quote || path[i + 1] !== "]") {
+            throw invalidPath(path, start);
+        }
+        return [value, i + 2];
+    }
+
+    const end = path.indexOf("]", i);
+    if (end === -1) {
+        throw invalidPath(path, start);
+    }
+    const token = path.slice(i, end).trim();
+    if (token === "") {
+        throw invalidPath(path, start);
+    }
+    return [INDEX.test(token) ? Number(token) : token, end + 1];
+}
+
+function invalidPath(path, position) {
+    return new ObjockeyError(`Invalid path "${path}" at position ${position}.`, { path });
+}
+
+/**
+ * Converts an array of segments back into a dotted/bracket path string.
+ *
+ * @param {array} segments
+ * @returns {string}
+ */
+export function formatPath(segments) {
+    let path = "";
+    for (const segment of segments) {
+        if (typeof segment === "number") {
+            path += `[${segment}]`;
+        } else if (IDENTIFIER.test(segment)) {
+            path += path === "" ? segment : `.${segment}`;
+        } else {
+            path += `[${JSON.stringify(segment)}]`;
+        }
+    }
+    return path;
+}
+
+/**
+ * Converts an array of segments into an RFC 6901 JSON Pointer.
+ *
+ * @param {array} segments
+ * @returns {string}
+ */
+export function formatPointer(segments) {
+    return segments
+        .map((segment) => "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1"))
+        .join("");
+}
+
+function isContainer(node) {
+    return typeof node === "object" && node !== null;
+}
+
+function hasChild(node, segment) {
+    if (Array.isArray(node)) {
+        return typeof segment === "number" && segment < node.length;
+    }
+    return Object.prototype.hasOwnProperty.call(node, segment);
+}
+
+function assertContainer(node, segments, i) {
+    if (!isContainer(node)) {
+        const at = formatPath(segments.slice(0, i)) || "root";
+        throw new ObjockeyError(`Cannot access "${segments[i]}" of ${node === null ? "null" : typeof node} value at "${at}".`, {
+            path: formatPath(segments),
+            segment: segments[i]
+        });
+    }
+}
+
+function assertSafe(segments, i) {
+    if (segments[i] === "__proto__") {
+        throw new ObjockeyError(`Refusing to access "__proto__" in path "${formatPath(segments)}".`, {
+            path: formatPath(segments),
+            segment: segments[i]
+        });
+    }
+}
+
+function writableKey(node, segments, i) {
+    assertSafe(segments, i);
+    const segment = segments[i];
+    if (!Array.isArray(node)) {
+        return segment;
+    }
+    if (segment === "-") {
+        return node.length;
+    }
+    if (typeof segment !== "number") {
+        throw new ObjockeyError(`Cannot use "${segment}" as an array index in path "${formatPath(segments)}".`, {
+            path: formatPath(segments),
+            segment
+        });
+    }
+    return segment;
+}
+
+function containerFor(segment) {
+    return typeof segment === "number" || segment === "-" ? [] : {};
+}
+
+/**
+ * Reads the value at `segments`. Returns undefined if any segment is missing.
+ * Throws an `ObjockeyError` if traversal runs into a primitive value.
+ *
+ * @param {*} root
+ * @param {array} segments
+ * @returns {*}
+ */
+export function getPath(root, segments) {
+    let node = root;
+    for (let i = 0; i < segments.length; i++) {
+        if (node === undefined) {
+            return undefined;
+        }
+        assertContainer(node, segments, i);
+        node = hasChild(node, segments[i]) ? node[segments[i]] : undefined;
+    }
+    return node;
+}
+
+/**
+ * Returns whether a value exists at `segments`. Never throws.
+ *
+ * @param {*} root
+ * @param {array} segments
+ * @returns {boolean}
+ */
+export function hasPath(root, segments) {
+    let node = root;
+    for (const segment of segments) {
+        if (!isContainer(node) || !hasChild(node, segment)) {
+            return false;
+        }
+        node = node[segment];
+    }
+    return node !== undefined;
+}
+
+/**
+ * Works out what writing to `segments` would do, without writing anything.
+ * Never throws.
+ *
+ * @param {*} root
+ * @param {array} segments
+ * @returns {object} `{ segments, depth, value }` - The segments with `-`
+ * resolved to the index it appends at, the number of leading segments which
+ * already exist, and the value currently found at `segments`, if any.
+ */
+export function resolvePath(root, segments) {
+    const resolved = [];
+    let node = root;
+    let depth = 0;
+    for (const segment of segments) {
+        if (depth < resolved.length || !isContainer(node)) {
+            // Below a missing container, "-" appends to a new array.
+            resolved.push(segment === "-" ? 0 : segment);
+            continue;
+        }
+        const key = Array.isArray(node) && segment === "-" ? node.length : segment;
+        resolved.push(key);
+        if (hasChild(node, key) && node[key] !== undefined) {
+            node = node[key];
+            depth++;
+        }
+    }
+    return {
+        segments: resolved,
+        depth,
+        value: depth === segments.length ? node : undefined
+    };
+}
+
+/**
+ * Writes `value` at `segments`, creating intermediate objects (or arrays, when
+ * the following segment is an index) along the way.
+ *
+ * @param {*} root
+ * @param {array} segments
+ * @param {*} value
+ * @returns {*} The root, which is only replaced if it was undefined or
+ * `segments` is empty.
+ */
+export function setPath(root, segments, value) {
+    if (segments.length === 0) {
+        return value;
+    }
+    if (root === undefined) {
+        root = containerFor(segments[0]);
+    }
+
+    let node = root;
+    const last = segments.length - 1;
+    for (let i = 0; i < last; i++) {
+        assertContainer(node, segments, i);
+        const key = writableKey(node, segments, i);
+        if (!hasChild(node, key) || node[key] === undefined) {
+            node[key] = containerFor(segments[i + 1]);
+        }
+        node = node[key];
+    }
+    assertContainer(node, segments, last);
+    node[writableKey(node, segments, last)] = value;
+    return root;
+}
+
+/**
+ * Removes the value at `segments`. Array elements are spliced out so that no
+ * holes are left behind.
+ *
+ * @param {*} root
+ * @param {array} segments
+ * @returns {boolean} Whether a value was removed.
+ */
+export function deletePath(root, segments) {
+    if (segments.length === 0) {
+        throw new ObjockeyError("Cannot delete the root of the internal buffer.");
+    }
+    const parent = getPath(root, segments.slice(0, -1));
+    const last = segments.length - 1;
+    if (parent === undefined) {
+        return false;
+    }
+    assertContainer(parent, segments, last);
+    assertSafe(segments, last);
+    if (!hasChild(parent, segments[last])) {
+        return false;
+    }
+    if (Array.isArray(parent)) {
+        parent.splice(segments[last], 1);
+    } else {
+        delete parent[segments[last]];
+    }
+    return true;
+}
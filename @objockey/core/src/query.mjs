@@ -0,0 +1,278 @@
+/**
+ * @objockey/core - query documents
+ *
+ * Compiles MongoDB-style query documents, such as
+ * `{ age: { $gte: 21 }, "address.city": { $in: ["Oslo", "Bergen"] } }`, into
+ * predicate functions. Documents are validated while compiling, so a compiled
+ * predicate never throws.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { deepEqual } from "./equality.mjs";
+import { parsePath } from "./path.mjs";
+
+/**
+ * Returns whether `value` is a query document rather than a callback.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isQueryDocument(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+        && !(value instanceof RegExp);
+}
+
+function fail(message, path) {
+    return new ObjockeyError(path ? `${message} (at "${path}")` : message, { path });
+}
+
+function isOperatorDocument(value) {
+    if (!isQueryDocument(value) || value instanceof Date) {
+        return false;
+    }
+    return Object.keys(value).some((key) => key[0] === "$");
+}
+
+/**
+ * Compiles a query document into a predicate.
+ *
+ * @param {object} query Query document.
+ * @returns {function} `predicate(record)`, returning a boolean.
+ */
+export function compileQuery(query, path = "") {
+    if (!isQueryDocument(query)) {
+        throw fail("A query must be an object.", path);
+    }
+
+    const tests = [];
+    for (const key in query) {
+        const operand = query[key];
+        switch (key) {
+            case "$and":
+            case "$or":
+            case "$nor": {
+                if (!Array.isArray(operand) || operand.length === 0) {
+                    throw fail(`"${key}" expects a non-empty array of queries.`, path);
+                }
+                const predicates = operand.map((each) => compileQuery(each, path));
+                tests.push(key === "$and"
+                    ? (record) => predicates.every((predicate) => predicate(record))
+                    : key === "$or"
+                        ? (record) => predicates.some((predicate) => predicate(record))
+                        : (record) => !predicates.some((predicate) => predicate(record)));
+                break;
+            }
+            case "$not": {
+                const predicate = compileQuery(operand, path);
+                tests.push((record) => !predicate(record));
+                break;
+            }
+            default: {
+                if (key[0] === "$") {
+                    throw fail(`Unknown query operator "${key}".`, path);
+                }
+                const segments = parsePath(key);
+                const test = compileCondition(operand, key);
+                tests.push((record) => test(resolve(record, segments, 0, [])));
+            }
+        }
+    }
+    return (record) => tests.every((test) => test(record));
+}
+
+/**
+ * Finds every value at `segments`, descending into arrays the way MongoDB
+ * does: a non-numeric segment applied to an array is applied to each of its
+ * elements. Missing values are collected as undefined.
+ */
+function resolve(value, segments, i, found) {
+    if (i === segments.length) {
+        found.push(value);
+        return found;
+    }
+    const segment = segments[i];
+    if (Array.isArray(value)) {
+        if (typeof segment === "number") {
+            resolve(value[segment], segments, i + 1, found);
+        } else {
+            for (const element of value) {
+                resolve(element, segments, i, found);
+            }
+            if (value.length === 0) {
+                found.push(undefined);
+            }
+        }
+    } else if (typeof value === "object" && value !== null
+        && Object.prototype.hasOwnProperty.call(value, segment)) {
+        resolve(value[segment], segments, i + 1, found);
+    } else {
+        found.push(undefined);
+    }
+    return found;
+}
+
+// Values a condition is checked against: every resolved value, plus the
+// elements of resolved arrays.
+function expand(values) {
+    const expanded = [];
+    for (const value of values) {
+        expanded.push(value);
+        if (Array.isArray(value)) {
+            expanded.push(...value);
+        }
+    }
+    return expanded;
+}
+
+function equalsAny(values, expected) {
+    if (expected === null) {
+        // null matches missing fields as well.
+        return values.some((value) => value === null || value === undefined);
+    }
+    return expand(values).some((value) => deepEqual(value, expected));
+}
+
+function comparable(a, b) {
+    const numeric = (value) => typeof value === "number" || typeof value === "bigint";
+    return (numeric(a) && numeric(b))
+        || (typeof a === "string" && typeof b === "string")
+        || (typeof a === "boolean" && typeof b === "boolean")
+        || (a instanceof Date && b instanceof Date);
+}
+
+function compileRegExp(pattern, options, path) {
+    if (pattern instanceof RegExp) {
+        return new RegExp(pattern.source, (options ?? pattern.flags).replace("g", ""));
+    }
+    if (typeof pattern !== "string") {
+        throw fail("\"$regex\" expects a string or a RegExp.", path);
+    }
+    try {
+        return new RegExp(pattern, (options || "").replace("g", ""));
+    } catch (err) {
+        throw fail(`Invalid regular expression "${pattern}": ${err.message}`, path);
+    }
+}
+
+function compileCondition(condition, path) {
+    if (condition instanceof RegExp) {
+        const regex = compileRegExp(condition, undefined, path);
+        return (values) => expand(values).some((value) => typeof value === "string" && regex.test(value));
+    }
+    if (!isOperatorDocument(condition)) {
+        return (values) => equalsAny(values, condition);
+    }
+    if (Object.keys(condition).some((key) => key[0] !== "$")) {
+        throw fail("Operators cannot be mixed with field names.", path);
+    }
+
+    const tests = [];
+    for (const operator in condition) {
+        const operand = condition[operator];
+        switch (operator) {
+            case "$eq":
+                tests.push((values) => equalsAny(values, operand));
+                break;
+            case "$ne":
+                tests.push((values) => !equalsAny(values, operand));
+                break;
+            case "$gt":
+            case "$gte":
+            case "$lt":
+            case "$lte": {
+                const accepts = {
+                    $gt: (a, b) => a > b,
+                    $gte: (a, b) => a >= b,
+                    $lt: (a, b) => a < b,
+                    $lte: (a, b) => a <= b
+                }[operator];
+                tests.push((values) => expand(values).some((value) => comparable(value, operand)
+                    && accepts(value, operand)));
+                break;
+            }
+            case "$in":
+            case "$nin": {
+                if (!Array.isArray(operand)) {
+                    throw fail(`"${operator}" expects an array.`, path);
+                }
+                const matchers = operand.map((expected) => compileCondition(
+                    expected instanceof RegExp ? expected : { $eq: expected },
+                    path
+                ));
+                const test = (values) => matchers.some((matcher) => matcher(values));
+                tests.push(operator === "$in" ? test : (values) => !test(values));
+                break;
+            }
+            case "$exists":
+                tests.push((values) => values.some((value) => value !== undefined) === Boolean(operand));
+                break;
+            case "$regex": {
+                const regex = compileRegExp(operand, condition.$options, path);
+                tests.push((values) => expand(values).some((value) => typeof value === "string"
+                    && regex.test(value)));
+                break;
+            }
+            case "$options":
+                if (!("$regex" in condition)) {
+                    throw fail("\"$options\" can only be used with \"$regex\".", path);
+                }
+                break;
+            case "$size":
+                if (!Number.isInteger(operand) || operand < 0) {
+                    throw fail("\"$size\" expects a non-negative integer.", path);
+                }
+                tests.push((values) => values.some((value) => Array.isArray(value) && value.length === operand));
+                break;
+            case "$not": {
+                if (!(operand instanceof RegExp) && !isOperatorDocument(operand)) {
+                    throw fail("\"$not\" expects an operator document or a RegExp.", path);
+                }
+                const test = compileCondition(operand, path);
+                tests.push((values) => !test(values));
+                break;
+            }
+            case "$elemMatch": {
+                if (!isQueryDocument(operand)) {
+                    throw fail("\"$elemMatch\" expects a query or an operator document.", path);
+                }
+                // Operator documents apply to the elements themselves, query
+                // documents to the fields of the elements.
+                let test;
+                if (isOperatorDocument(operand) && !Object.keys(operand).some(isLogical)) {
+                    const elementCondition = compileCondition(operand, path);
+                    test = (element) => elementCondition([element]);
+                } else {
+                    test = compileQuery(operand, path);
+                }
+                tests.push((values) => values.some((value) => Array.isArray(value) && value.some(test)));
+                break;
+            }
+            default:
+                throw fail(`Unknown query operator "${operator}".`, path);
+        }
+    }
+    return (values) => tests.every((test) => test(values));
+}
+
+function isLogical(key) {
+    return key === "$and" || key === "$or" || key === "$nor";
+}
+
+/**
+ * Turns a query document into a callback with the usual calling convention,
+ * testing array elements or object property values. Functions are returned
+ * as-is.
+ *
+ * @param {function | object} filter Callback function or query document.
+ * @param {boolean} isArray Whether the callback will be run over an array.
+ * @returns {function}
+ */
+export function toCallback(filter, isArray) {
+    if (!isQueryDocument(filter)) {
+        return filter;
+    }
+    const predicate = compileQuery(filter);
+    return isArray
+        ? (value) => predicate(value)
+        : (key, value) => predicate(value);
+}
@@ -0,0 +1,254 @@
+/**
+ * @objockey/core - reshaping
+ *
+ * Pivoting arrays of records from long to wide form, unpivoting them back,
+ * and transposing arrays of arrays or of records.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { parsePath, getPath } from "./path.mjs";
+import { compileKeys, serializeKey } from "./groups.mjs";
+import { isNumeric, sumOf, meanOf, medianOf, minOf, maxOf } from "./statistics.mjs";
+
+const numeric = (reduce) => (values) => reduce(values.filter(isNumeric));
+
+const AGGREGATIONS = {
+    sum: numeric(sumOf),
+    average: numeric(meanOf),
+    median: numeric(medianOf),
+    min: numeric(minOf),
+    max: numeric(maxOf),
+    count: (values) => values.length,
+    first: (values) => values[0],
+    last: (values) => values[values.length - 1]
+};
+
+function isRecord(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+        && !(value instanceof Date);
+}
+
+function compileExtractor(spec, option) {
+    if (typeof spec === "function") {
+        return spec;
+    }
+    if (typeof spec === "string") {
+        const segments = parsePath(spec);
+        return (record) => (isRecord(record) ? getPath(record, segments) : undefined);
+    }
+    throw new ObjockeyError(`"${option}" must be a field path or a function.`);
+}
+
+function defineField(row, name, value) {
+    // Defined rather than assigned, as "__proto__" may be a column name.
+    Object.defineProperty(row, name, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Returns how the values of a cell are found and reduced.
+ *
+ * @returns {object} `{ callback, accepts, reduce }`, shaped like the
+ * descriptors of aggregate.mjs.
+ */
+function compileAggregate(options) {
+    const { aggregate } = options;
+    if (aggregate && typeof aggregate === "object" && typeof aggregate.reduce === "function") {
+        // A descriptor from aggregate.mjs extracts the values itself.
+        if (options.values !== undefined) {
+            throw new ObjockeyError(`"values" cannot be used with ${aggregate.name}(), which extracts the values itself.`);
+        }
+        return aggregate;
+    }
+    if (options.values === undefined) {
+        throw new ObjockeyError("A pivot needs \"values\", unless \"aggregate\" is an aggregation such as sum().");
+    }
+    const extract = compileExtractor(options.values, "values");
+    const accepts = () => true;
+    if (aggregate === undefined) {
+        return {
+            callback: extract,
+            accepts,
+            reduce: (values, column) => {
+                if (values.length > 1) {
+                    throw new ObjockeyError(`Several records share the cell in column "${column}". Pass "aggregate" to combine them.`, { column });
+                }
+                return values[0];
+            }
+        };
+    }
+    if (typeof aggregate === "function") {
+        return { callback: extract, accepts, reduce: aggregate };
+    }
+    if (!Object.prototype.hasOwnProperty.call(AGGREGATIONS, aggregate)) {
+        throw new ObjockeyError(`Unknown aggregation "${aggregate}". Use ${Object.keys(AGGREGATIONS).map((name) => `"${name}"`).join(", ")}, a function, or an aggregation such as sum().`);
+    }
+    return { callback: extract, accepts, reduce: AGGREGATIONS[aggregate] };
+}
+
+function assertRecords(buffer, method) {
+    if (!Array.isArray(buffer)) {
+        throw new ObjockeyError(`Only array buffers can be passed to ${method}().`);
+    }
+}
+
+/**
+ * Pivots an array of records.
+ *
+ * @param {array} buffer
+ * @param {object} options `{ rows, columns, values, aggregate, fill }` - see
+ * `ObjockeyObject.pivot()`.
+ * @returns {array} One row per row key.
+ */
+export function pivotRecords(buffer, options = {}) {
+    assertRecords(buffer, "pivot");
+    if (options.columns === undefined) {
+        throw new ObjockeyError("A pivot needs \"columns\".");
+    }
+    const rowKeys = options.rows === undefined ? [] : compileKeys(options.rows);
+    const columnOf = compileExtractor(options.columns, "columns");
+    const { callback, accepts, reduce } = compileAggregate(options);
+
+    const rows = new Map();
+    const columns = new Map();
+    buffer.forEach((record, i) => {
+        const args = [record, i, buffer];
+        const parts = rowKeys.map((key) => (key.field
+            ? (isRecord(record) ? getPath(record, key.field) : undefined)
+            : key.extract(...args)));
+        const id = serializeKey(parts);
+        let row = rows.get(id);
+        if (!row) {
+            row = { parts, cells: new Map() };
+            rows.set(id, row);
+        }
+        const column = String(columnOf(...args));
+        if (rowKeys.some((key) => key.name === column)) {
+            throw new ObjockeyError(`Column "${column}" has the same name as a row field.`, { column });
+        }
+        columns.set(column, true);
+        let values = row.cells.get(column);
+        if (!values) {
+            values = [];
+            row.cells.set(column, values);
+        }
+        const value = callback(...args);
+        if (accepts(value)) {
+            values.push(value);
+        }
+    });
+
+    return [...rows.values()].map(({ parts, cells }) => {
+        const row = {};
+        rowKeys.forEach((key, i) => {
+            defineField(row, key.name, parts[i]);
+        });
+        for (const column of columns.keys()) {
+            if (cells.has(column)) {
+                defineField(row, column, reduce(cells.get(column), column));
+            } else if (options.fill !== undefined) {
+                defineField(row, column, options.fill);
+            }
+        }
+        return row;
+    });
+}
+
+/**
+ * Unpivots an array of records.
+ *
+ * @param {array} buffer
+ * @param {object} options `{ idFields, varName, valueName }` - see
+ * `ObjockeyObject.unpivot()`.
+ * @returns {array} One row per field of every record.
+ */
+export function unpivotRecords(buffer, options = {}) {
+    assertRecords(buffer, "unpivot");
+    const idFields = options.idFields === undefined ? [] : options.idFields;
+    if (!Array.isArray(idFields) || !idFields.every((field) => typeof field === "string")) {
+        throw new ObjockeyError("\"idFields\" must be an array of field names.");
+    }
+    const varName = options.varName === undefined ? "variable" : options.varName;
+    const valueName = options.valueName === undefined ? "value" : options.valueName;
+    if (typeof varName !== "string" || typeof valueName !== "string" || varName === valueName) {
+        throw new ObjockeyError("\"varName\" and \"valueName\" must be two different strings.");
+    }
+    const ids = new Set(idFields);
+    if (ids.has(varName) || ids.has(valueName)) {
+        throw new ObjockeyError("\"varName\" and \"valueName\" must not be one of \"idFields\".");
+    }
+
+    const rows = [];
+    buffer.forEach((record, i) => {
+        if (!isRecord(record)) {
+            throw new ObjockeyError(`Element ${i} is not an object, so it cannot be unpivoted.`, { index: i });
+        }
+        const base = {};
+        for (const field of idFields) {
+            if (Object.prototype.hasOwnProperty.call(record, field)) {
+                defineField(base, field, record[field]);
+            }
+        }
+        for (const field of Object.keys(record)) {
+            if (ids.has(field)) {
+                continue;
+            }
+            const row = { ...base };
+            defineField(row, varName, field);
+            defineField(row, valueName, record[field]);
+            rows.push(row);
+        }
+    });
+    return rows;
+}
+
+/**
+ * Transposes an array of arrays, an array of records, or an object of
+ * arrays.
+ *
+ * @param {array | object} buffer
+ * @param {object} options `{ fill }` - see `ObjockeyObject.transpose()`.
+ * @returns {array | object}
+ */
+export function transposeRecords(buffer, options = {}) {
+    const fill = options.fill === undefined ? null : options.fill;
+
+    if (isRecord(buffer)) {
+        const fields = Object.keys(buffer);
+        if (!fields.every((field) => Array.isArray(buffer[field]))) {
+            throw new ObjockeyError("Only objects whose values are all arrays can be transposed.");
+        }
+        const length = fields.reduce((longest, field) => Math.max(longest, buffer[field].length), 0);
+        return Array.from({ length }, (_, i) => {
+            const row = {};
+            for (const field of fields) {
+                defineField(row, field, i < buffer[field].length ? buffer[field][i] : fill);
+            }
+            return row;
+        });
+    }
+
+    if (!Array.isArray(buffer)) {
+        throw new ObjockeyError("Only arrays and objects can be transposed.");
+    }
+    if (buffer.every(Array.isArray)) {
+        const width = buffer.reduce((widest, row) => Math.max(widest, row.length), 0);
+        return Array.from({ length: width }, (_, j) => buffer.map((row) => (j < row.length ? row[j] : fill)));
+    }
+    if (buffer.every(isRecord)) {
+        const columns = {};
+        for (const record of buffer) {
+            for (const field of Object.keys(record)) {
+                if (!Object.prototype.hasOwnProperty.call(columns, field)) {
+                    defineField(columns, field, null);
+                }
+            }
+        }
+        for (const field of Object.keys(columns)) {
+            columns[field] = buffer.map((record) => (Object.prototype.hasOwnProperty.call(record, field)
+                ? record[field]
+                : fill));
+        }
+        return columns;
+    }
+    throw new ObjockeyError("Only arrays whose elements are either all arrays or all objects can be transposed.");
+}
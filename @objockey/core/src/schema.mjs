@@ -0,0 +1,278 @@
+/**
+ * @objockey/core - JSON Schema
+ *
+ * Validation against a practical subset of JSON Schema: `type`, `enum`,
+ * `const`, `properties`, `required`, `additionalProperties`, `items`,
+ * `minimum`/`maximum` (and their exclusive forms), `minLength`/`maxLength`,
+ * `minItems`/`maxItems`, `pattern`, and `$ref` within the same document.
+ * Unknown keywords are ignored, as the specification requires.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { deepEqual } from "./equality.mjs";
+import { parsePath } from "./path.mjs";
+
+const TYPES = new Set(["null", "boolean", "object", "array", "number", "integer", "string"]);
+
+function escapeToken(token) {
+    return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function typeMatches(type, value) {
+    switch (type) {
+        case "null": return value === null;
+        case "boolean": return typeof value === "boolean";
+        case "object": return typeof value === "object" && value !== null && !Array.isArray(value);
+        case "array": return Array.isArray(value);
+        case "number": return (typeof value === "number" && Number.isFinite(value)) || typeof value === "bigint";
+        case "integer": return Number.isInteger(value) || typeof value === "bigint";
+        case "string": return typeof value === "string";
+    }
+    return false;
+}
+
+function describe(value) {
+    return JSON.stringify(typeof value === "bigint" ? String(value) : value);
+}
+
+/**
+ * Compiles a schema into a validator.
+ *
+ * *Throws an error if the schema is malformed, or refers to a location it
+ * does not contain.*
+ *
+ * @param {object | boolean} schema
+ * @returns {function} `validate(value, positions)`, returning every
+ * violation as `{ path, keyword, message, schemaPath }`, where `path` is the
+ * JSON Pointer of the offending value. If given, `positions` limits which
+ * array elements or object properties of `value` are descended into; every
+ * other keyword still applies to the whole of `value`.
+ */
+export function compileSchema(schema) {
+    const compiled = new Map();
+
+    const resolve = (ref, location) => {
+        if (typeof ref !== "string" || ref[0] !== "#") {
+            throw new ObjockeyError(`Unsupported "$ref" "${ref}". Only references within the schema, such as "#/$defs/name", are supported. (at "${location}")`);
+        }
+        let node = schema;
+        for (const segment of parsePath(decodeURIComponent(ref.slice(1)))) {
+            if (typeof node !== "object" || node === null || !(segment in node)) {
+                throw new ObjockeyError(`"$ref" "${ref}" does not resolve. (at "${location}")`);
+            }
+            node = node[segment];
+        }
+        return compile(node, ref);
+    };
+
+    const compile = (node, location) => {
+        if (compiled.has(node)) {
+            return compiled.get(node);
+        }
+        if (node === true || node === false) {
+            const test = node
+                ? () => {}
+                : (value, path, errors) => errors.push({ path, keyword: "false", message: "is not allowed", schemaPath: location });
+            compiled.set(node, test);
+            return test;
+        }
+        if (typeof node !== "object" || node === null || Array.isArray(node)) {
+            throw new ObjockeyError(`A schema must be an object or a boolean. (at "${location}")`);
+        }
+
+        // Registered before compiling the keywords, so that recursive
+        // references find it.
+        const tests = [];
+        const test = (value, path, errors, positions) => {
+            for (const each of tests) {
+                each(value, path, errors, positions);
+            }
+        };
+        compiled.set(node, test);
+
+        const fail = (errors, path, keyword, message) => {
+            errors.push({ path, keyword, message, schemaPath: `${location}/${keyword}` });
+        };
+
+        if (node.$ref !== undefined) {
+            const target = resolve(node.$ref, `${location}/$ref`);
+            tests.push(target);
+        }
+
+        if (node.type !== undefined) {
+            const types = Array.isArray(node.type) ? node.type : [node.type];
+            for (const type of types) {
+                if (!TYPES.has(type)) {
+                    throw new ObjockeyError(`Unknown type "${type}". (at "${location}/type")`);
+                }
+            }
+            tests.push((value, path, errors) => {
+                if (!types.some((type) => typeMatches(type, value))) {
+                    fail(errors, path, "type", `must be of type ${types.map((type) => `"${type}"`).join(" or ")}`);
+                }
+            });
+        }
+
+        if (node.enum !== undefined) {
+            if (!Array.isArray(node.enum)) {
+                throw new ObjockeyError(`"enum" must be an array. (at "${location}/enum")`);
+            }
+            tests.push((value, path, errors) => {
+                if (!node.enum.some((allowed) => deepEqual(value, allowed))) {
+                    fail(errors, path, "enum", `must be one of ${node.enum.map(describe).join(", ")}`);
+                }
+            });
+        }
+
+        if ("const" in node) {
+            tests.push((value, path, errors) => {
+                if (!deepEqual(value, node.const)) {
+                    fail(errors, path, "const", `must be equal to ${describe(node.const)}`);
+                }
+            });
+        }
+
+        const bounds = [
+            ["minimum", (value, bound) => value >= bound, ">="],
+            ["maximum", (value, bound) => value <= bound, "<="],
+            ["exclusiveMinimum", (value, bound) => value > bound, ">"],
+            ["exclusiveMaximum", (value, bound) => value < bound, "<"]
+        ];
+        for (const [keyword, accepts, operator] of bounds) {
+            const bound = node[keyword];
+            if (bound === undefined) {
+                continue;
+            }
+            tests.push((value, path, errors) => {
+                if ((typeof value === "number" || typeof value === "bigint") && !accepts(value, bound)) {
+                    fail(errors, path, keyword, `must be ${operator} ${bound}`);
+                }
+            });
+        }
+
+        const lengths = [
+            ["minLength", "string", (value) => [...value].length, "fewer than", "characters"],
+            ["maxLength", "string", (value) => [...value].length, "more than", "characters"],
+            ["minItems", "array", (value) => value.length, "fewer than", "items"],
+            ["maxItems", "array", (value) => value.length, "more than", "items"]
+        ];
+        for (const [keyword, type, lengthOf, comparison, unit] of lengths) {
+            const limit = node[keyword];
+            if (limit === undefined) {
+                continue;
+            }
+            const min = keyword.startsWith("min");
+            tests.push((value, path, errors) => {
+                if (!typeMatches(type, value)) {
+                    return;
+                }
+                const length = lengthOf(value);
+                if (min ? length < limit : length > limit) {
+                    fail(errors, path, keyword, `must NOT have ${comparison} ${limit} ${unit}`);
+                }
+            });
+        }
+
+        if (node.pattern !== undefined) {
+            let regex;
+            try {
+                regex = new RegExp(node.pattern, "u");
+            } catch (err) {
+                throw new ObjockeyError(`Invalid "pattern" "${node.pattern}": ${err.message} (at "${location}/pattern")`);
+            }
+            tests.push((value, path, errors) => {
+                if (typeof value === "string" && !regex.test(value)) {
+                    fail(errors, path, "pattern", `must match pattern "${node.pattern}"`);
+                }
+            });
+        }
+
+        if (node.required !== undefined) {
+            if (!Array.isArray(node.required)) {
+                throw new ObjockeyError(`"required" must be an array. (at "${location}/required")`);
+            }
+            tests.push((value, path, errors) => {
+                if (!typeMatches("object", value)) {
+                    return;
+                }
+                for (const key of node.required) {
+                    if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                        fail(errors, `${path}/${escapeToken(key)}`, "required", `must have required property "${key}"`);
+                    }
+                }
+            });
+        }
+
+        if (node.properties !== undefined || node.additionalProperties !== undefined) {
+            const properties = {};
+            for (const key in node.properties || {}) {
+                properties[key] = compile(node.properties[key], `${location}/properties/${escapeToken(key)}`);
+            }
+            const additional = node.additionalProperties === undefined
+                ? null
+                : compile(node.additionalProperties, `${location}/additionalProperties`);
+            tests.push((value, path, errors, positions) => {
+                if (!typeMatches("object", value)) {
+                    return;
+                }
+                for (const key of positions || Object.keys(value)) {
+                    if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                        continue;
+                    }
+                    const childPath = `${path}/${escapeToken(key)}`;
+                    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                        properties[key](value[key], childPath, errors);
+                    } else if (node.additionalProperties === false) {
+                        fail(errors, childPath, "additionalProperties", `must NOT have additional property "${key}"`);
+                    } else if (additional) {
+                        additional(value[key], childPath, errors);
+                    }
+                }
+            });
+        }
+
+        if (node.items !== undefined) {
+            // The array form describes a tuple, as in earlier drafts.
+            const tuple = Array.isArray(node.items)
+                ? node.items.map((item, i) => compile(item, `${location}/items/${i}`))
+                : null;
+            const items = tuple ? null : compile(node.items, `${location}/items`);
+            tests.push((value, path, errors, positions) => {
+                if (!Array.isArray(value)) {
+                    return;
+                }
+                const indexes = positions || value.keys();
+                for (const i of indexes) {
+                    if (i >= value.length) {
+                        continue;
+                    }
+                    const check = tuple ? tuple[i] : items;
+                    if (check) {
+                        check(value[i], `${path}/${i}`, errors);
+                    }
+                }
+            });
+        }
+
+        return test;
+    };
+
+    const root = compile(schema, "#");
+    return (value, positions) => {
+        const errors = [];
+        root(value, "", errors, positions);
+        return errors;
+    };
+}
+
+/**
+ * Formats violations returned by a validator as a readable list.
+ *
+ * @param {array} errors
+ * @returns {string}
+ */
+export function formatViolations(errors) {
+    return errors
+        .map((error) => `${error.path || "/"}: ${error.message}`)
+        .join("\n");
+}
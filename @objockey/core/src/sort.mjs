@@ -0,0 +1,234 @@
+/**
+ * @objockey/core - sorting
+ *
+ * Stable multi-key sorting of the records of a buffer, and selection of the
+ * first `n` records in sort order using a bounded heap, which takes
+ * `O(records * log n)` time instead of sorting everything.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { parsePath, getPath } from "./path.mjs";
+import { compareKeys, forEachRecord } from "./indexes.mjs";
+
+const ORDERS = new Set(["asc", "desc"]);
+const NULLS = new Set(["first", "last"]);
+
+function getFieldOf(record, segments) {
+    if (typeof record !== "object" || record === null) {
+        return undefined;
+    }
+    return getPath(record, segments);
+}
+
+function compileKey(spec, defaultOrder) {
+    const options = typeof spec === "object" && spec !== null ? spec : { key: spec };
+    const {
+        key, order = defaultOrder, nulls = "last", compare, locale, numeric
+    } = options;
+    if (!ORDERS.has(order)) {
+        throw new ObjockeyError(`Unknown sort order "${order}". Use "asc" or "desc".`);
+    }
+    if (!NULLS.has(nulls)) {
+        throw new ObjockeyError(`Unknown "nulls" placement "${nulls}". Use "first" or "last".`);
+    }
+    if (compare !== undefined && typeof compare !== "function") {
+        throw new ObjockeyError("\"compare\" must be a function.");
+    }
+
+    let extract;
+    if (key === undefined) {
+        extract = (args, value) => value;
+    } else if (typeof key === "function") {
+        extract = (args) => key(...args);
+    } else if (typeof key === "string") {
+        const segments = parsePath(key);
+        extract = (args, value) => getFieldOf(value, segments);
+    } else {
+        throw new ObjockeyError("Sort keys must be functions or field paths.");
+    }
+
+    let compareValues = compare || compareKeys;
+    if (!compare && (locale !== undefined || numeric)) {
+        const collator = new Intl.Collator(locale, { numeric: Boolean(numeric) });
+        compareValues = (a, b) => (typeof a === "string" && typeof b === "string"
+            ? collator.compare(a, b)
+            : compareKeys(a, b));
+    }
+    return {
+        extract,
+        sign: order === "desc" ? -1 : 1,
+        nullsFirst: nulls === "first",
+        compareValues
+    };
+}
+
+function compileKeys(keys, defaultOrder) {
+    const list = keys === undefined ? [{}] : Array.isArray(keys) ? keys : [keys];
+    if (list.length === 0) {
+        throw new ObjockeyError("\"keys\" must contain at least one key.");
+    }
+    return list.map((spec) => compileKey(spec, defaultOrder));
+}
+
+/**
+ * Calls `callback(entry)` for every record of `buffer`, where `entry` holds
+ * the record, its sort key values, its position (array index or object key)
+ * and its place in buffer order.
+ */
+function forEachEntry(buffer, keys, callback) {
+    const isArray = Array.isArray(buffer);
+    let order = 0;
+    forEachRecord(buffer, (position, args) => {
+        const value = isArray ? args[0] : args[1];
+        callback({
+            record: isArray ? value : { [position]: value },
+            values: keys.map((key) => key.extract(args, value)),
+            position,
+            order: order++
+        });
+    });
+}
+
+function compareOrder(a, b) {
+    return a.order - b.order;
+}
+
+function comparePositions(a, b) {
+    return compareKeys(a.position, b.position);
+}
+
+/**
+ * Whether a key value is placed by the `nulls` option rather than compared.
+ * NaN is among them, as it is not ordered against any number.
+ */
+function isMissing(value) {
+    return value === null || value === undefined || Number.isNaN(value);
+}
+
+/**
+ * Orders two entries by their key values, then by `tiebreak`, which orders
+ * them by buffer order by default, making sorting stable.
+ */
+function compareEntries(a, b, keys, tiebreak = compareOrder) {
+    for (let i = 0; i < keys.length; i++) {
+        const { sign, nullsFirst, compareValues } = keys[i];
+        const x = a.values[i];
+        const y = b.values[i];
+        const xMissing = isMissing(x);
+        const yMissing = isMissing(y);
+        if (xMissing || yMissing) {
+            if (xMissing && yMissing) {
+                continue;
+            }
+            return (xMissing ? -1 : 1) * (nullsFirst ? 1 : -1);
+        }
+        const order = compareValues(x, y);
+        if (order < 0) {
+            return -sign;
+        }
+        if (order > 0) {
+            return sign;
+        }
+    }
+    return tiebreak(a, b);
+}
+
+/**
+ * Sorts the records of a buffer.
+ *
+ * @param {array | object} buffer
+ * @param {*} keys Sort keys - see `ObjockeyObject.sortBy()`.
+ * @returns {array} The sorted array elements, or the sorted object
+ * properties as `{ key: value }` pairs.
+ */
+export function sortRecords(buffer, keys) {
+    const compiled = compileKeys(keys, "asc");
+    const entries = [];
+    forEachEntry(buffer, compiled, (entry) => entries.push(entry));
+    entries.sort((a, b) => compareEntries(a, b, compiled));
+    return entries.map((entry) => entry.record);
+}
+
+/**
+ * Selects the first `n` records of a buffer in sort order, keeping only `n`
+ * records in memory at a time.
+ *
+ * @param {array | object} buffer
+ * @param {integer} n
+ * @param {*} keys Sort keys - see `ObjockeyObject.sortBy()`.
+ * @param {string} defaultOrder Order of keys which do not specify one.
+ * @returns {array} Records in the form returned by `sortRecords()`.
+ */
+export function selectRecords(buffer, n, keys, defaultOrder) {
+    if (!Number.isInteger(n) || n < 0) {
+        throw new ObjockeyError("\"n\" must be a non-negative integer.");
+    }
+    const compiled = compileKeys(keys, defaultOrder);
+    const compare = (a, b) => compareEntries(a, b, compiled);
+
+    // A max-heap of the selected entries: the entry which sorts last sits
+    // at the root, ready to be replaced by any entry sorting before it.
+    const heap = [];
+    const swap = (i, j) => {
+        [heap[i], heap[j]] = [heap[j], heap[i]];
+    };
+    const siftUp = (i) => {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (compare(heap[i], heap[parent]) <= 0) {
+                return;
+            }
+            swap(i, parent);
+            i = parent;
+        }
+    };
+    const siftDown = (i) => {
+        for (;;) {
+            let largest = i;
+            for (const child of [2 * i + 1, 2 * i + 2]) {
+                if (child < heap.length && compare(heap[child], heap[largest]) > 0) {
+                    largest = child;
+                }
+            }
+            if (largest === i) {
+                return;
+            }
+            swap(i, largest);
+            i = largest;
+        }
+    };
+
+    if (n > 0) {
+        forEachEntry(buffer, compiled, (entry) => {
+            if (heap.length < n) {
+                heap.push(entry);
+                siftUp(heap.length - 1);
+            } else if (compare(entry, heap[0]) < 0) {
+                heap[0] = entry;
+                siftDown(0);
+            }
+        });
+    }
+    return heap.sort(compare).map((entry) => entry.record);
+}
+
+/**
+ * Orders the records of a buffer for pagination, breaking ties by position:
+ * the index of array elements, or the key of object properties. Unlike
+ * buffer order, positions never change when records are pushed.
+ *
+ * @param {array | object} buffer
+ * @param {*} keys Sort keys - see `ObjockeyObject.sortBy()` - or undefined
+ * to order records by position only.
+ * @returns {object} `{ entries, compare, keyCount }` - The ordered entries
+ * as `{ record, values, position }`, the function ordering them (which only
+ * reads `values` and `position`), and the number of sort keys.
+ */
+export function orderByPosition(buffer, keys) {
+    const compiled = keys === undefined ? [] : compileKeys(keys, "asc");
+    const compare = (a, b) => compareEntries(a, b, compiled, comparePositions);
+    const entries = [];
+    forEachEntry(buffer, compiled, (entry) => entries.push(entry));
+    entries.sort(compare);
+    return { entries, compare, keyCount: compiled.length };
+}
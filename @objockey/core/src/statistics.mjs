@@ -0,0 +1,313 @@
+/**
+ * @objockey/core - statistics
+ *
+ * Numeric helpers shared by the arithmetic methods of `ObjockeyObject` and
+ * the aggregations of `ObjockeyGroups`.
+ *
+ * Every helper accepts a mix of `number` and `bigint` values. Results which
+ * can be computed exactly (sums of integers, minimums, maximums, modes, and
+ * percentiles landing on an element) keep `bigint` precision, everything
+ * else is computed as a `number`.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+
+const INTERPOLATIONS = ["linear", "lower", "higher", "nearest", "midpoint"];
+
+/**
+ * Returns whether `value` can take part in arithmetic. NaN cannot, as it
+ * would make sums NaN and cannot be ordered.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isNumeric(value) {
+    return (typeof value === "number" && !Number.isNaN(value)) || typeof value === "bigint";
+}
+
+/**
+ * Runs an extractor callback over a buffer using the usual calling
+ * convention, collecting every numeric result.
+ *
+ * @param {array | object} buffer
+ * @param {function} callback
+ * If the buffer is an array, `callback(value, index, buffer)`.
+ *
+ * If the buffer is an object, `callback(key, value, buffer)`.
+ *
+ * @returns {array} The numeric results, in buffer order.
+ */
+export function collect(buffer, callback) {
+    if (typeof callback !== "function") {
+        throw new ObjockeyError("\"callback\" must be a function.");
+    }
+    const values = [];
+    if (Array.isArray(buffer)) {
+        let i = 0;
+        for (let val of buffer) {
+            const num = callback(val, i, buffer);
+            if (isNumeric(num)) {
+                values.push(num);
+            }
+            i++;
+        }
+    } else if (typeof buffer === "object" && buffer !== null) {
+        for (let key in buffer) {
+            const num = callback(key, buffer[key], buffer);
+            if (isNumeric(num)) {
+                values.push(num);
+            }
+        }
+    }
+    return values;
+}
+
+/**
+ * Orders `number` and `bigint` values against each other.
+ *
+ * @param {number | bigint} a
+ * @param {number | bigint} b
+ * @returns {integer}
+ */
+export function compareNumeric(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @returns {number | bigint} The sum of `values`, or 0 if there are none. The
+ * sum is a `bigint` if any value is a `bigint` and every `number` value is an
+ * integer.
+ */
+export function sumOf(values) {
+    const exact = values.some((value) => typeof value === "bigint")
+        && values.every((value) => typeof value === "bigint" || Number.isInteger(value));
+    if (exact) {
+        let total = 0n;
+        for (const value of values) {
+            total += BigInt(value);
+        }
+        return total;
+    }
+
+    let total = 0;
+    for (const value of values) {
+        total += Number(value);
+    }
+    return total;
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @returns {number} The arithmetic mean of `values`, or NaN if there are none.
+ */
+export function meanOf(values) {
+    if (values.length === 0) {
+        return NaN;
+    }
+    const total = sumOf(values);
+    if (typeof total === "bigint") {
+        const count = BigInt(values.length);
+        // Divide the integer part exactly before converting, so large sums
+        // keep their precision.
+        return Number(total / count) + Number(total % count) / values.length;
+    }
+    return total / values.length;
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @returns {number | bigint} The median of `values` (the mean of the two
+ * middle values for an even count), or NaN if there are none.
+ */
+export function medianOf(values) {
+    return quantileOf(values, 0.5);
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @returns The smallest of `values`, or undefined if there are none.
+ */
+export function minOf(values) {
+    let min;
+    for (const value of values) {
+        if (min === undefined || value < min) {
+            min = value;
+        }
+    }
+    return min;
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @returns The largest of `values`, or undefined if there are none.
+ */
+export function maxOf(values) {
+    let max;
+    for (const value of values) {
+        if (max === undefined || value > max) {
+            max = value;
+        }
+    }
+    return max;
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @returns {array} The most frequent values, in order of first appearance.
+ * Numerically equal `number` and `bigint` values (such as `1` and `1n`) are
+ * counted together. Empty if there are no values.
+ */
+export function modeOf(values) {
+    const counts = new Map();
+    let highest = 0;
+    for (const value of values) {
+        const key = typeof value === "bigint" || Number.isInteger(value)
+            ? BigInt(value).toString()
+            : String(value);
+        const entry = counts.get(key) || { value, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+        highest = Math.max(highest, entry.count);
+    }
+    return [...counts.values()]
+        .filter((entry) => entry.count === highest)
+        .map((entry) => entry.value);
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @param {object} options `{ sample }` - If `sample` is true, computes the
+ * sample variance (dividing by `n - 1`) instead of the population variance.
+ * @returns {number} The variance of `values`, or NaN if there are too few.
+ */
+export function varianceOf(values, options = {}) {
+    const n = values.length;
+    if (n === 0 || (options.sample && n < 2)) {
+        return NaN;
+    }
+    // Welford's algorithm, which stays stable for large values.
+    let mean = 0;
+    let squares = 0;
+    let i = 0;
+    for (const value of values) {
+        const x = Number(value);
+        i++;
+        const delta = x - mean;
+        mean += delta / i;
+        squares += delta * (x - mean);
+    }
+    return squares / (options.sample ? n - 1 : n);
+}
+
+/**
+ * @param {array} values Numeric values.
+ * @param {number} q Quantile between 0 and 1.
+ * @param {object} options `{ interpolation }` - How to pick a value when the
+ * quantile falls between two elements: `"linear"` (default), `"lower"`,
+ * `"higher"`, `"nearest"` or `"midpoint"`.
+ * @returns {number | bigint} The quantile of `values`, or NaN if there are
+ * none.
+ */
+export function quantileOf(values, q, options = {}) {
+    const interpolation = options.interpolation || "linear";
+    if (!INTERPOLATIONS.includes(interpolation)) {
+        throw new ObjockeyError(`Unknown interpolation "${interpolation}". Use one of ${INTERPOLATIONS.join(", ")}.`);
+    }
+    if (typeof q !== "number" || !(q >= 0 && q <= 1)) {
+        throw new ObjockeyError("Quantiles must be numbers between 0 and 1.");
+    }
+    if (values.length === 0) {
+        return NaN;
+    }
+
+    const sorted = [...values].sort(compareNumeric);
+    const position = q * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    const fraction = position - lower;
+    if (lower === upper) {
+        return sorted[lower];
+    }
+
+    switch (interpolation) {
+        case "lower":
+            return sorted[lower];
+        case "higher":
+            return sorted[upper];
+        case "nearest":
+            return sorted[fraction <= 0.5 ? lower : upper];
+        case "midpoint":
+            return (Number(sorted[lower]) + Number(sorted[upper])) / 2;
+        default:
+            return Number(sorted[lower]) + (Number(sorted[upper]) - Number(sorted[lower])) * fraction;
+    }
+}
+
+/**
+ * Counts values into bins.
+ *
+ * @param {array} values Numeric values.
+ * @param {integer | array} bins Either a number of equal-width bins spanning
+ * the smallest to the largest value, or an ascending array of bin edges.
+ * @returns {array} Bins of `{ start, end, count }`. Every bin includes its
+ * start and excludes its end, except for the last bin, which includes both.
+ * Values outside of explicit edges are not counted.
+ */
+export function histogramOf(values, bins) {
+    let edges;
+    if (Array.isArray(bins)) {
+        if (bins.length < 2 || !bins.every(isNumeric)) {
+            throw new ObjockeyError("Bin edges must be an array of at least two numbers.");
+        }
+        edges = bins.map(Number);
+        for (let i = 1; i < edges.length; i++) {
+            if (!(edges[i] > edges[i - 1])) {
+                throw new ObjockeyError("Bin edges must be in strictly ascending order.");
+            }
+        }
+    } else if (Number.isInteger(bins) && bins > 0) {
+        if (values.length === 0) {
+            return [];
+        }
+        let start = Number(minOf(values));
+        let end = Number(maxOf(values));
+        if (start === end) {
+            start -= 0.5;
+            end += 0.5;
+        }
+        const width = (end - start) / bins;
+        edges = [];
+        for (let i = 0; i < bins; i++) {
+            edges.push(start + width * i);
+        }
+        edges.push(end);
+    } else {
+        throw new ObjockeyError("\"bins\" must be a positive integer or an array of bin edges.");
+    }
+
+    const histogram = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+        histogram.push({ start: edges[i], end: edges[i + 1], count: 0 });
+    }
+    const last = edges.length - 1;
+    for (const value of values) {
+        const x = Number(value);
+        if (x < edges[0] || x > edges[last]) {
+            continue;
+        }
+        // Binary search for the last edge not greater than x.
+        let low = 0;
+        let high = last;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (edges[middle] <= x) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        histogram[Math.min(low, last - 1)].count++;
+    }
+    return histogram;
+}
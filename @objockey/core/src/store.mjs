@@ -0,0 +1,225 @@
+/**
+ * @objockey/core - file-backed storage
+ *
+ * Persists a buffer as a JSON snapshot file, plus an append-only journal of
+ * the changes made since the snapshot was written. Both files are replaced
+ * by writing a temporary file and renaming it over the original, so a crash
+ * never leaves a half-written snapshot behind.
+ *
+ * The journal starts with a header line holding a hash of the snapshot it
+ * belongs to. Compaction writes the new snapshot first and the new journal
+ * second; a crash in between leaves a journal whose hash no longer matches,
+ * which is then discarded rather than replayed twice.
+ */
+
+import fs from "node:fs";
+import nodePath from "node:path";
+import { createHash } from "node:crypto";
+import { ObjockeyError } from "./error.mjs";
+
+const JOURNAL_FORMAT = "objockey-journal";
+
+function hashOf(text) {
+    return text === null ? null : createHash("sha256").update(text).digest("hex");
+}
+
+function readIfExists(path) {
+    try {
+        return fs.readFileSync(path, "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Writes a file by writing and flushing a temporary file next to it, then
+ * renaming the temporary file over it.
+ *
+ * @param {string} path
+ * @param {string} text
+ */
+function writeAtomic(path, text) {
+    const temp = `${path}.${process.pid}.tmp`;
+    const fd = fs.openSync(temp, "w");
+    try {
+        fs.writeSync(fd, text);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temp, path);
+    // Flush the rename itself. Not every platform supports syncing a
+    // directory, in which case the rename is as durable as it gets.
+    try {
+        const dir = fs.openSync(nodePath.dirname(path), "r");
+        try {
+            fs.fsyncSync(dir);
+        } finally {
+            fs.closeSync(dir);
+        }
+    } catch (err) {
+        // Ignored, see above.
+    }
+}
+
+/**
+ * Parses the journal, returning its entries if it belongs to the snapshot
+ * with hash `snapshotHash`, or null if it is stale.
+ */
+function readJournal(path, text, snapshotHash) {
+    // A crash while appending can leave a torn last line without its
+    // newline. That entry never completed, so it is cut off and dropped.
+    const end = text.lastIndexOf("\n") + 1;
+    if (end < text.length) {
+        fs.truncateSync(path, Buffer.byteLength(text.slice(0, end)));
+    }
+    const lines = text.slice(0, end).split("\n");
+    lines.pop();
+
+    let header;
+    try {
+        header = JSON.parse(lines[0]);
+    } catch (err) {
+        header = null;
+    }
+    if (!header || header.format !== JOURNAL_FORMAT) {
+        throw new ObjockeyError(`"${path}" is not an Objockey journal.`, { path });
+    }
+    if (header.snapshot !== snapshotHash) {
+        return null;
+    }
+
+    return lines.slice(1).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            throw new ObjockeyError(`Malformed journal entry on line ${i + 2} of "${path}": ${err.message}`, {
+                path,
+                line: i + 2
+            });
+        }
+    });
+}
+
+export class ObjockeyStore {
+    #path;
+    #journalPath;
+    #fd = null;
+    #entries = 0;
+    #compactEvery;
+    #fsync;
+
+    /**
+     * Opens the files of a store, creating them if they do not exist yet.
+     *
+     * @param {string} path Path of the snapshot file. The journal is kept
+     * next to it, as `<path>.journal`.
+     * @param {object} options `{ initial, compactEvery, fsync }` - see
+     * `ObjockeyObject.open()`.
+     * @returns {object} `{ store, buffer, entries }`, where `buffer` is the
+     * snapshot and `entries` the journal entries still to be replayed onto
+     * it.
+     */
+    static load(path, options = {}) {
+        if (typeof path !== "string" || path === "") {
+            throw new ObjockeyError("\"path\" must be a non-empty string.");
+        }
+        const store = new ObjockeyStore(path, options);
+        const snapshot = readIfExists(path);
+        let buffer = options.initial === undefined ? {} : options.initial;
+        if (snapshot !== null) {
+            try {
+                buffer = JSON.parse(snapshot);
+            } catch (err) {
+                throw new ObjockeyError(`Malformed snapshot "${path}": ${err.message}`, { path });
+            }
+        }
+        if (typeof buffer !== "object" || buffer === null) {
+            throw new ObjockeyError(`Snapshot "${path}" must hold an object or array.`, { path });
+        }
+
+        const journal = readIfExists(store.#journalPath);
+        const entries = journal === null
+            ? null
+            : readJournal(store.#journalPath, journal, hashOf(snapshot));
+        if (entries === null) {
+            if (snapshot === null) {
+                store.compact(buffer);
+            } else {
+                store.#startJournal(snapshot);
+            }
+        } else {
+            store.#entries = entries.length;
+            store.#fd = fs.openSync(store.#journalPath, "a");
+        }
+        return { store, buffer, entries: entries || [] };
+    }
+
+    constructor(path, options = {}) {
+        const compactEvery = options.compactEvery === undefined ? 1000 : options.compactEvery;
+        if (!(compactEvery > 0) && compactEvery !== Infinity) {
+            throw new ObjockeyError("\"compactEvery\" must be a positive number or Infinity.");
+        }
+        this.#path = path;
+        this.#journalPath = `${path}.journal`;
+        this.#compactEvery = compactEvery;
+        this.#fsync = Boolean(options.fsync);
+    }
+
+    /**
+     * Whether the journal is due to be compacted into a new snapshot.
+     */
+    get due() {
+        return this.#entries >= this.#compactEvery;
+    }
+
+    /**
+     * Appends an entry to the journal.
+     *
+     * @param {object} entry
+     */
+    append(entry) {
+        if (this.#fd === null) {
+            throw new ObjockeyError(`The store "${this.#path}" is closed.`);
+        }
+        fs.writeSync(this.#fd, JSON.stringify(entry) + "\n");
+        if (this.#fsync) {
+            fs.fsyncSync(this.#fd);
+        }
+        this.#entries++;
+    }
+
+    /**
+     * Writes `buffer` as the new snapshot, and starts an empty journal.
+     *
+     * @param {object | array} buffer
+     */
+    compact(buffer) {
+        const snapshot = JSON.stringify(buffer);
+        writeAtomic(this.#path, snapshot);
+        this.#startJournal(snapshot);
+    }
+
+    /**
+     * Closes the journal. Changes are no longer persisted afterwards.
+     */
+    close() {
+        if (this.#fd !== null) {
+            fs.closeSync(this.#fd);
+            this.#fd = null;
+        }
+    }
+
+    #startJournal(snapshot) {
+        this.close();
+        writeAtomic(this.#journalPath, JSON.stringify({
+            format: JOURNAL_FORMAT,
+            snapshot: hashOf(snapshot)
+        }) + "\n");
+        this.#entries = 0;
+        this.#fd = fs.openSync(this.#journalPath, "a");
+    }
+}
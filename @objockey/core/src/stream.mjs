@@ -0,0 +1,381 @@
+/**
+ * @objockey/core - streaming
+ *
+ * An incremental JSON parser which consumes a document chunk by chunk. It
+ * either builds the whole document, or only the values found at a streaming
+ * path such as `$.data[*]`, in which case nothing but the value currently
+ * being parsed is ever held in memory.
+ */
+
+import { ObjockeyError } from "./error.mjs";
+import { compileJSONPath, formatNormalizedPath } from "./jsonpath.mjs";
+
+const WHITESPACE = new Set([" ", "\t", "\n", "\r"]);
+const DELIMITERS = new Set([" ", "\t", "\n", "\r", ",", ":", "[", "]", "{", "}", "\""]);
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+
+/**
+ * Compiles a streaming path. Streaming paths are JSONPath expressions made of
+ * names, wildcards and non-negative indexes only, such as `$[*]`,
+ * `$.data[*]` or `$.pages[*].items[*]`.
+ *
+ * @param {string} path
+ * @returns {array} One array of selectors per segment.
+ */
+export function compileStreamPath(path) {
+    const segments = compileJSONPath(path);
+    for (const segment of segments) {
+        const supported = !segment.descendant && segment.selectors.every((selector) =>
+            selector.type === "name" || selector.type === "wildcard"
+            || (selector.type === "index" && selector.index >= 0));
+        if (!supported) {
+            throw new ObjockeyError(`Unsupported streaming path "${path}". Streaming paths only support names, wildcards and non-negative indexes, such as "$.data[*]".`, { path });
+        }
+    }
+    return segments.map((segment) => segment.selectors);
+}
+
+function selects(selectors, segment) {
+    return selectors.some((selector) => {
+        switch (selector.type) {
+            case "wildcard": return true;
+            case "name": return selector.name === segment;
+            case "index": return selector.index === segment;
+        }
+        return false;
+    });
+}
+
+function assign(container, key, value) {
+    if (key === "__proto__") {
+        Object.defineProperty(container, key, { value, enumerable: true, writable: true, configurable: true });
+    } else {
+        container[key] = value;
+    }
+}
+
+export class JSONStreamParser {
+    #text = "";
+    #offset = 0;
+    #stringScan = 0;
+    #decoder = new TextDecoder();
+    #pattern;
+    #stack = [];
+    #output = [];
+    #done = false;
+    #result;
+
+    /**
+     * @param {array | null} pattern A path compiled with `compileStreamPath()`
+     * to only emit the values found there, or null to build the whole
+     * document.
+     */
+    constructor(pattern = null) {
+        this.#pattern = pattern;
+    }
+
+    /**
+     * The parsed document, once `.end()` was called without a pattern.
+     */
+    get result() {
+        return this.#result;
+    }
+
+    /**
+     * Parses a chunk of the document.
+     *
+     * @param {string | Uint8Array} chunk Text, or UTF-8 encoded bytes.
+     */
+    write(chunk) {
+        this.#text += typeof chunk === "string"
+            ? chunk
+            : this.#decoder.decode(chunk, { stream: true });
+        this.#parse(false);
+    }
+
+    /**
+     * Signals the end of the document.
+     *
+     * *Throws an error if the document is incomplete.*
+     */
+    end() {
+        this.#text += this.#decoder.decode();
+        this.#parse(true);
+        if (!this.#done) {
+            throw this.#fail("Unexpected end of JSON input", this.#text.length);
+        }
+    }
+
+    /**
+     * @returns {array} Values emitted since the last call, as
+     * `{ value, path }`, where `path` is an array of segments.
+     */
+    drain() {
+        const output = this.#output;
+        this.#output = [];
+        return output;
+    }
+
+    #fail(message, i) {
+        const position = this.#offset + i;
+        return new ObjockeyError(`${message} at position ${position}.`, { position });
+    }
+
+    #parse(final) {
+        const text = this.#text;
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (WHITESPACE.has(char)) {
+                i++;
+                continue;
+            }
+            if (this.#done) {
+                throw this.#fail(`Unexpected "${char}" after the end of the document`, i);
+            }
+
+            if (char === "\"") {
+                const end = this.#scanString(text, i);
+                if (end === -1) {
+                    break;
+                }
+                let string;
+                try {
+                    string = JSON.parse(text.slice(i, end));
+                } catch (err) {
+                    throw this.#fail("Invalid string", i);
+                }
+                this.#string(string, i);
+                i = end;
+            } else if (char === "{" || char === "[") {
+                this.#open(char === "[" ? "array" : "object", i);
+                i++;
+            } else if (char === "}" || char === "]") {
+                this.#close(char === "]" ? "array" : "object", i);
+                i++;
+            } else if (char === ":") {
+                this.#colon(i);
+                i++;
+            } else if (char === ",") {
+                this.#comma(i);
+                i++;
+            } else {
+                let end = i;
+                while (end < text.length && !DELIMITERS.has(text[end])) {
+                    end++;
+                }
+                if (end === text.length && !final) {
+                    break;
+                }
+                this.#scalar(this.#literal(text.slice(i, end), i), i);
+                i = end;
+            }
+        }
+        this.#offset += i;
+        this.#text = text.slice(i);
+    }
+
+    // Finds the end of the string starting at `start`, resuming where the
+    // previous chunk left off. Returns -1 if the string is incomplete.
+    #scanString(text, start) {
+        let j = Math.max(start + 1, start + this.#stringScan);
+        for (; j < text.length; j++) {
+            if (text[j] === "\\") {
+                j++;
+            } else if (text[j] === "\"") {
+                this.#stringScan = 0;
+                return j + 1;
+            }
+        }
+        // Rescan a trailing backslash, as its escaped character is missing.
+        this.#stringScan = (j > text.length ? text.length - 1 : text.length) - start;
+        return -1;
+    }
+
+    #literal(word, i) {
+        switch (word) {
+            case "true": return true;
+            case "false": return false;
+            case "null": return null;
+        }
+        if (NUMBER.test(word)) {
+            return Number(word);
+        }
+        throw this.#fail(`Unexpected token "${word}"`, i);
+    }
+
+    #expectsValue() {
+        const frame = this.#stack[this.#stack.length - 1];
+        if (!frame) {
+            return !this.#done;
+        }
+        return frame.expect === "value" || (frame.kind === "array" && frame.expect === "value-or-close");
+    }
+
+    // Works out how the value about to start gets handled: built into its
+    // parent ("build"), captured and emitted ("capture"), walked through
+    // looking for matches ("walk"), or parsed and discarded ("skip").
+    #context() {
+        const frame = this.#stack[this.#stack.length - 1];
+        if (frame && frame.mode !== "walk") {
+            return { mode: frame.mode, path: null };
+        }
+        const path = frame
+            ? [...frame.path, frame.kind === "array" ? frame.index : frame.key]
+            : [];
+        if (this.#pattern === null) {
+            return { mode: "build", path };
+        }
+        const depth = path.length;
+        if (depth > this.#pattern.length
+            || !path.every((segment, i) => selects(this.#pattern[i], segment))) {
+            return { mode: "skip", path };
+        }
+        return { mode: depth === this.#pattern.length ? "capture" : "walk", path };
+    }
+
+    #complete(value, mode, path) {
+        if (mode === "capture") {
+            this.#output.push({ value, path });
+        }
+        const frame = this.#stack[this.#stack.length - 1];
+        if (!frame) {
+            this.#done = true;
+            if (mode === "build") {
+                this.#result = value;
+            }
+            return;
+        }
+        if (frame.mode === "build") {
+            if (frame.kind === "array") {
+                frame.value.push(value);
+            } else {
+                assign(frame.value, frame.key, value);
+            }
+        }
+        if (frame.kind === "array") {
+            frame.index++;
+        }
+        frame.expect = "comma-or-close";
+    }
+
+    #scalar(value, i) {
+        if (!this.#expectsValue()) {
+            throw this.#fail(`Unexpected ${JSON.stringify(value)}`, i);
+        }
+        const { mode, path } = this.#context();
+        this.#complete(mode === "skip" || mode === "walk" ? undefined : value, mode, path);
+    }
+
+    #string(string, i) {
+        const frame = this.#stack[this.#stack.length - 1];
+        if (frame && frame.kind === "object"
+            && (frame.expect === "key-or-close" || frame.expect === "key")) {
+            frame.key = string;
+            frame.expect = "colon";
+            return;
+        }
+        this.#scalar(string, i);
+    }
+
+    #open(kind, i) {
+        if (!this.#expectsValue()) {
+            throw this.#fail(`Unexpected "${kind === "array" ? "[" : "{"}"`, i);
+        }
+        const { mode, path } = this.#context();
+        const building = mode === "build" || mode === "capture";
+        this.#stack.push({
+            kind,
+            mode: mode === "capture" ? "build" : mode,
+            capture: mode === "capture",
+            value: building ? (kind === "array" ? [] : {}) : undefined,
+            path,
+            index: 0,
+            key: null,
+            expect: kind === "array" ? "value-or-close" : "key-or-close"
+        });
+    }
+
+    #close(kind, i) {
+        const frame = this.#stack[this.#stack.length - 1];
+        const closes = frame && frame.kind === kind
+            && (frame.expect === "comma-or-close"
+                || frame.expect === (kind === "array" ? "value-or-close" : "key-or-close"));
+        if (!closes) {
+            throw this.#fail(`Unexpected "${kind === "array" ? "]" : "}"}"`, i);
+        }
+        this.#stack.pop();
+        const mode = frame.capture ? "capture" : frame.mode;
+        this.#complete(frame.value, mode, frame.path);
+    }
+
+    #colon(i) {
+        const frame = this.#stack[this.#stack.length - 1];
+        if (!frame || frame.expect !== "colon") {
+            throw this.#fail("Unexpected \":\"", i);
+        }
+        frame.expect = "value";
+    }
+
+    #comma(i) {
+        const frame = this.#stack[this.#stack.length - 1];
+        if (!frame || frame.expect !== "comma-or-close") {
+            throw this.#fail("Unexpected \",\"", i);
+        }
+        frame.expect = frame.kind === "array" ? "value" : "key";
+    }
+}
+
+/**
+ * Normalizes a stream source into something `for await` can iterate.
+ *
+ * @param {string | Uint8Array | AsyncIterable | Iterable} source
+ * @returns {AsyncIterable | Iterable} Chunks of the source.
+ */
+export function chunksOf(source) {
+    if (typeof source === "string" || source instanceof Uint8Array) {
+        return [source];
+    }
+    if (source && (typeof source[Symbol.asyncIterator] === "function"
+        || typeof source[Symbol.iterator] === "function")) {
+        return source;
+    }
+    throw new ObjockeyError("\"source\" must be a readable stream or an (async) iterable of chunks.");
+}
+
+/**
+ * Parses a whole JSON document from a stream of chunks.
+ *
+ * @param {AsyncIterable | Iterable} source
+ * @returns {Promise} The parsed document.
+ */
+export async function parseStream(source) {
+    const parser = new JSONStreamParser();
+    for await (const chunk of chunksOf(source)) {
+        parser.write(chunk);
+    }
+    parser.end();
+    return parser.result;
+}
+
+/**
+ * Parses a JSON document from a stream of chunks, yielding the values found
+ * at a streaming path as soon as each of them is complete.
+ *
+ * @param {AsyncIterable | Iterable} source
+ * @param {string} path Streaming path, see `compileStreamPath()`.
+ * @yields {object} `{ value, path }`, where `path` is a normalized path.
+ */
+export async function* streamMatches(source, path) {
+    const parser = new JSONStreamParser(compileStreamPath(path));
+    for await (const chunk of chunksOf(source)) {
+        parser.write(chunk);
+        for (const match of parser.drain()) {
+            yield { value: match.value, path: formatNormalizedPath(match.path) };
+        }
+    }
+    parser.end();
+    for (const match of parser.drain()) {
+        yield { value: match.value, path: formatNormalizedPath(match.path) };
+    }
+}